@@ -0,0 +1,101 @@
+// Screen-reader and keyboard access to the board: the grid is an ARIA grid whose keyboard focus
+// (roving tabindex) follows the selection frame, every card names its position and state, and a
+// live region repeats status lines, flipped cards and time reminders.
+class GridAccessibility {
+    constructor(game) {
+        this.game = game;
+        this.grid = document.getElementById('memoryGrid');
+        this.live = document.getElementById('liveRegion');
+        this.maxMessages = 5; // Lines kept in the live region (older ones have been read already)
+        this.timeMilestones = [60, 30, 10]; // Seconds of working time that are announced
+        this.announcedAt = new Set();
+
+        this.grid.setAttribute('role', 'grid');
+        this.grid.setAttribute('aria-label', t('board.label'));
+
+        // Cards change their state in many places (flip, match, power-ups) - their classes tell the truth
+        this.observer = new MutationObserver(() => this.updateLabels());
+        this.observer.observe(this.grid, { subtree: true, childList: true, attributes: true, attributeFilter: ['class'] });
+
+        game.state.onTransition(({ to }) => {
+            if (to === 'idle') {
+                this.announcedAt.clear();
+                this.live.innerHTML = '';
+            } else if (to === 'timeout') {
+                this.announce(t('announce.timeout'));
+            }
+        });
+        game.on('status', ({ message }) => this.announce(message));
+        game.on('flip', ({ card, index }) => {
+            this.announce(t('announce.flip', { index: index + 1, face: game.cardRenderer.describe(game.getCardEntry(card)) }));
+        });
+        game.on('modal', ({ phase }) => {
+            const title = phase.title ? localize(phase.title) : game.stationTexts.modalTitle;
+            const text = phase.text ? localize(phase.text) : game.stationTexts.modalTimerText;
+            this.announce(`${firstLine(title)}. ${firstLine(text)}`);
+        });
+        game.on('locale', () => {
+            this.grid.setAttribute('aria-label', t('board.label'));
+            this.updateLabels();
+        });
+        game.scheduler.on('tick', (phase) => {
+            if (phase.board && game.state.is('playing', 'resolving')) {
+                this.announceTime(game.scheduler.remainingBoardTime());
+            }
+        });
+    }
+
+    // "Karte 3 von 25, aufgedeckt: 🎸 Gitarre"
+    describeCard(card, total) {
+        const entry = this.game.getCardEntry(card);
+        const position = t('card.position', { index: Number(card.dataset.index) + 1, total });
+        if (!entry) return t('card.blank', { position });
+
+        const face = this.game.cardRenderer.describe(entry);
+        if (this.game.sequence) return t('card.cell', { position, face }); // Cells have no hidden side
+        if (card.classList.contains('power-up-used')) return t('card.used', { position, face });
+        if (card.classList.contains('matched')) return t('card.matched', { position, face });
+        if (card.classList.contains('flipped')) return t('card.flipped', { position, face });
+        return t('card.hidden', { position });
+    }
+
+    updateLabels() {
+        const cards = this.grid.querySelectorAll('.memory-card');
+        cards.forEach(card => card.setAttribute('aria-label', this.describeCard(card, cards.length)));
+    }
+
+    // Only the selected card is reachable with Tab; once the focus is on the board it moves along
+    syncSelection() {
+        const current = this.game.getCurrentIndex();
+        const focusOnBoard = this.grid.contains(document.activeElement);
+
+        this.grid.querySelectorAll('.memory-card').forEach(card => {
+            const selected = Number(card.dataset.index) === current;
+            card.tabIndex = selected ? 0 : -1;
+            card.setAttribute('aria-selected', String(selected));
+            if (selected && focusOnBoard && document.activeElement !== card) {
+                card.focus();
+            }
+        });
+    }
+
+    announceTime(seconds) {
+        const milestone = this.timeMilestones.find(mark => seconds <= mark && !this.announcedAt.has(mark));
+        if (milestone === undefined) return;
+
+        this.timeMilestones.filter(mark => mark >= milestone).forEach(mark => this.announcedAt.add(mark));
+        this.announce(t('announce.time', { time: this.game.formatDuration(milestone) }));
+    }
+
+    // New lines are added (not replaced), so quick messages in a row are all read
+    announce(text) {
+        if (!text) return;
+
+        const line = document.createElement('p');
+        line.textContent = firstLine(text);
+        this.live.appendChild(line);
+        while (this.live.children.length > this.maxMessages) {
+            this.live.firstElementChild.remove();
+        }
+    }
+}
@@ -0,0 +1,192 @@
+// Mouse-skill analytics for teachers: pointer travel, reaction times, missed clicks,
+// failed double-clicks and time per pair. Shown in the pause modal, exportable as JSON.
+
+// Saves data as a JSON file (also used by the card-set editor). The URL is revoked later:
+// some browsers abort the download when it goes away right after the click.
+function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
+class MouseAnalytics {
+    constructor(game) {
+        this.game = game;
+        this.summary = document.getElementById('analyticsSummary');
+        this.doubleClickWindow = 500; // ms a second click may take to count as double-click
+        this.reset();
+
+        game.state.onTransition(({ from, to }) => {
+            if (to === 'idle') {
+                this.reset();
+                this.summary.hidden = true;
+            } else if (to === 'playing' && (from === 'idle' || from === 'countdown')) {
+                this.startedAt = Date.now();
+                this.lastMatchAt = this.startedAt;
+            }
+        });
+
+        game.on('select', ({ source }) => {
+            if (source === 'keyboard') {
+                this.lastKeySelection = performance.now();
+            }
+        });
+        game.on('confirm-click', () => this.recordReaction());
+        game.on('card-click', ({ type }) => this.recordCardClick(type));
+        game.on('match', () => {
+            const now = Date.now();
+            this.matchDurations.push(now - this.lastMatchAt);
+            this.lastMatchAt = now;
+        });
+        game.on('modal', () => this.showSummary());
+
+        document.addEventListener('pointermove', (e) => this.recordPointerMove(e));
+        document.addEventListener('pointerdown', (e) => this.recordPointerDown(e));
+        document.getElementById('analyticsExportBtn').addEventListener('click', () => this.exportJson());
+    }
+
+    reset() {
+        this.startedAt = null;
+        this.lastMatchAt = null;
+        this.pointerDistance = 0;
+        this.lastPointer = null;
+        this.lastKeySelection = null;
+        this.reactionTimes = [];
+        this.missedClicks = 0;
+        this.doubleClickFailures = 0;
+        this.matchDurations = [];
+        clearTimeout(this.pendingClick);
+        this.pendingClick = null;
+    }
+
+    isTracking() {
+        return this.game.state.is('playing', 'resolving');
+    }
+
+    recordPointerMove(e) {
+        if (!this.isTracking() || e.pointerType === 'touch') {
+            this.lastPointer = null;
+            return;
+        }
+
+        if (this.lastPointer) {
+            this.pointerDistance += Math.hypot(e.clientX - this.lastPointer.x, e.clientY - this.lastPointer.y);
+        }
+        this.lastPointer = { x: e.clientX, y: e.clientY };
+    }
+
+    // A press in the game area (board and controls) that hits neither a card nor a control is a missed click;
+    // presses elsewhere (player bar, EVA panel, mission box) don't count
+    recordPointerDown(e) {
+        if (!this.isTracking() || !e.target.closest) return;
+
+        const inGameArea = e.target.closest('.game-container, .controls');
+        const target = e.target.closest('.memory-card:not(.blank), button, select, input');
+        if (inGameArea && !target) {
+            this.missedClicks++;
+        }
+    }
+
+    // Time from the last arrow-key selection to the click on the confirm button
+    recordReaction() {
+        if (this.lastKeySelection === null || !this.isTracking()) return;
+
+        this.reactionTimes.push(Math.round(performance.now() - this.lastKeySelection));
+        this.lastKeySelection = null;
+    }
+
+    recordCardClick(type) {
+        if (this.game.clickMode !== 'double' || !this.isTracking()) return;
+
+        // A click that isn't followed by a dblclick in time was a failed double-click
+        clearTimeout(this.pendingClick);
+        if (type === 'click') {
+            this.pendingClick = setTimeout(() => {
+                this.doubleClickFailures++;
+                this.pendingClick = null;
+            }, this.doubleClickWindow);
+        } else {
+            this.pendingClick = null;
+        }
+    }
+
+    getReport() {
+        const { game } = this;
+        return {
+            exportedAt: new Date().toISOString(),
+            group: game.rotation,
+            mode: game.config.gameMode,
+            input: game.inputMode,
+            click: game.clickMode,
+            board: `${game.layout.rows}x${game.layout.cols}`,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            matchedPairs: game.matchedPairs,
+            totalPairs: game.totalPairs,
+            mistakes: game.mistakes,
+            pointerDistancePx: Math.round(this.pointerDistance),
+            reactionTimesMs: this.reactionTimes,
+            missedClicks: this.missedClicks,
+            doubleClickFailures: this.doubleClickFailures,
+            matchDurationsMs: this.matchDurations,
+            longestSequence: game.sequence ? game.sequence.best : null,
+            level: game.levels ? game.levels.current().number : null
+        };
+    }
+
+    showSummary() {
+        // Only a finished round has something to report (not the intro countdown)
+        if (!this.game.state.is('pause') || this.startedAt === null) {
+            this.summary.hidden = true;
+            return;
+        }
+
+        const report = this.getReport();
+        const rows = [
+            ['Mausweg', `${report.pointerDistancePx.toLocaleString('de-DE')} px`],
+            ['Pfeiltaste → Klick', this.formatAverage(report.reactionTimesMs)],
+            ['Fehlklicks daneben', report.missedClicks],
+            ['Zeit pro Paar', this.formatAverage(report.matchDurationsMs)]
+        ];
+        if (report.click === 'double') {
+            rows.splice(3, 0, ['Doppelklick misslungen', report.doubleClickFailures]);
+        }
+        // Sequence mode has no pairs; a bonus round after the board adds its sequence
+        if (report.mode === 'sequence') {
+            rows.splice(rows.length - 1, 1, ['Längste Folge', report.longestSequence]);
+        } else if (report.longestSequence !== null) {
+            rows.push(['Bonus: längste Folge', report.longestSequence]);
+        }
+        const { levels } = this.game;
+        if (levels && levels.levels.length > 1) {
+            rows.push(['Level erreicht', `${report.level} von ${levels.levels.length}`]);
+        }
+
+        const list = document.getElementById('analyticsList');
+        list.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            list.append(term, detail);
+        });
+
+        this.summary.hidden = false;
+    }
+
+    formatAverage(values) {
+        if (values.length === 0) return '–';
+
+        const seconds = values.reduce((sum, value) => sum + value, 0) / values.length / 1000;
+        return `Ø ${seconds.toLocaleString('de-DE', { maximumFractionDigits: 1 })} s (${values.length}×)`;
+    }
+
+    exportJson() {
+        const report = this.getReport();
+        downloadJson(report, `eva-mouse-gruppe-${report.group}-${report.exportedAt.slice(0, 10)}.json`);
+    }
+}
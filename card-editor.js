@@ -0,0 +1,345 @@
+// Teacher card-set editor (Ctrl+Alt+K): pick, create, preview, import and export card sets.
+// Custom sets are saved in IndexedDB via CardSetStore and use the same format as cardsets.js.
+class CardSetEditor {
+    constructor(game, store) {
+        this.game = game;
+        this.store = store;
+        this.overlay = document.getElementById('cardEditor');
+        this.picker = document.getElementById('cardSetPicker');
+        this.form = document.getElementById('cardSetForm');
+        this.pairList = document.getElementById('cardSetPairs');
+        this.preview = document.getElementById('cardSetPreview');
+        this.draft = null;
+        this.maxImageSize = 1024 * 1024; // Keeps IndexedDB and exported files small
+
+        game.teacherHotkeys.k = () => (this.overlay.hidden ? this.open() : this.close());
+
+        document.getElementById('cardEditorClose').addEventListener('click', () => this.close());
+        document.getElementById('cardSetUseBtn').addEventListener('click', () => this.useSelected());
+        document.getElementById('cardSetNewBtn').addEventListener('click', () => this.editDraft(this.createEmptySet()));
+        document.getElementById('cardSetEditBtn').addEventListener('click', () => this.editSelected());
+        document.getElementById('cardSetDeleteBtn').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('cardSetExportBtn').addEventListener('click', () => this.exportSelected());
+        document.getElementById('cardSetImport').addEventListener('change', (e) => this.importFile(e.target));
+        document.getElementById('cardSetAddPair').addEventListener('click', () => {
+            this.draft.pairs.push(this.createEmptyPair(this.draft.pairs));
+            this.renderDraft();
+        });
+        this.picker.addEventListener('change', () => this.updatePickerButtons());
+
+        this.form.addEventListener('input', () => this.renderPreview());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveDraft();
+        });
+    }
+
+    open() {
+        this.game.suspended = true;
+        this.overlay.hidden = false;
+        this.form.hidden = true;
+        this.showMessage('');
+        this.renderPicker(this.game.config.setId);
+    }
+
+    close() {
+        this.game.suspended = false;
+        this.overlay.hidden = true;
+        this.draft = null;
+    }
+
+    isCustom(id) {
+        return !BUILT_IN_CARD_SET_IDS.includes(id);
+    }
+
+    renderPicker(selectedId) {
+        this.picker.innerHTML = '';
+        Object.entries(CARD_SETS).forEach(([id, set]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = this.isCustom(id) ? `${set.name} (eigenes Set)` : set.name;
+            this.picker.appendChild(option);
+        });
+        this.picker.value = selectedId in CARD_SETS ? selectedId : DEFAULT_CARD_SET;
+        this.updatePickerButtons();
+    }
+
+    updatePickerButtons() {
+        const custom = this.isCustom(this.picker.value);
+        document.getElementById('cardSetEditBtn').textContent = custom ? 'Bearbeiten' : 'Als Kopie bearbeiten';
+        document.getElementById('cardSetDeleteBtn').disabled = !custom;
+    }
+
+    useSelected() {
+        const id = this.picker.value;
+        try {
+            this.game.useCardSet(id, normalizeCardSet(CARD_SETS[id], id));
+        } catch (error) {
+            this.showMessage(error.message);
+            return;
+        }
+
+        // Remember the choice on this device (URL parameters still take precedence)
+        saveDeviceConfig({ set: id });
+        this.close();
+    }
+
+    editSelected() {
+        const id = this.picker.value;
+        const set = JSON.parse(JSON.stringify(CARD_SETS[id]));
+        const pairs = normalizeCardSet(set, id).pairs.map((pair, index) => ({
+            id: pair.id,
+            group: set.pairs && set.pairs[index].group ? set.pairs[index].group : '',
+            faces: pair.faces
+        }));
+
+        if (this.isCustom(id)) {
+            this.editDraft({ id, name: set.name, joker: set.joker, pairs, similar: set.similar });
+        } else {
+            this.editDraft({ id: this.createId(), name: `${set.name} (Kopie)`, joker: set.joker, pairs, similar: set.similar });
+        }
+    }
+
+    async deleteSelected() {
+        const id = this.picker.value;
+        if (!this.isCustom(id) || !window.confirm(`Set "${CARD_SETS[id].name}" wirklich löschen?`)) return;
+
+        try {
+            await this.store.delete(id);
+            delete CARD_SETS[id];
+            // The stored choice would otherwise fail on every later load
+            if (loadDeviceConfig().set === id) {
+                saveDeviceConfig({ set: undefined });
+            }
+            this.renderPicker(DEFAULT_CARD_SET);
+            this.showMessage('Set gelöscht');
+        } catch (error) {
+            this.showMessage(`Löschen fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    createId() {
+        return `eigenes-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // The id follows the highest "paar-N" of the set, so it never repeats a saved one after pairs were removed
+    createEmptyPair(pairs) {
+        const numbers = pairs.map(pair => Number((/^paar-(\d+)$/.exec(pair.id) || [])[1]) || 0);
+        return { id: `paar-${Math.max(0, ...numbers) + 1}`, group: '', faces: [{}, {}] };
+    }
+
+    createEmptySet() {
+        const pairs = [];
+        pairs.push(this.createEmptyPair(pairs));
+        pairs.push(this.createEmptyPair(pairs));
+        return { id: this.createId(), name: 'Neues Set', joker: '⭐', pairs };
+    }
+
+    editDraft(draft) {
+        this.draft = draft;
+        this.form.hidden = false;
+        this.showMessage('');
+        document.getElementById('cardSetName').value = draft.name;
+        document.getElementById('cardSetJoker').value = draft.joker || '';
+        this.renderDraft();
+    }
+
+    renderDraft() {
+        this.pairList.innerHTML = '';
+        this.draft.pairs.forEach((pair, index) => {
+            this.pairList.appendChild(this.renderPairRow(pair, index));
+        });
+        this.renderPreview();
+    }
+
+    renderPairRow(pair, index) {
+        const row = document.createElement('fieldset');
+        row.className = 'editor-pair';
+
+        const legend = document.createElement('legend');
+        legend.textContent = `Paar ${index + 1}`;
+        row.appendChild(legend);
+
+        row.appendChild(this.createInput('Gruppe (optional)', pair.group, value => {
+            pair.group = value;
+        }));
+
+        pair.faces.forEach((face, side) => {
+            row.appendChild(this.renderFaceEditor(face, side));
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'editor-remove';
+        remove.textContent = 'Paar entfernen';
+        remove.addEventListener('click', () => {
+            this.draft.pairs.splice(index, 1);
+            this.renderDraft();
+        });
+        row.appendChild(remove);
+
+        return row;
+    }
+
+    renderFaceEditor(face, side) {
+        const box = document.createElement('div');
+        box.className = 'editor-face';
+
+        const title = document.createElement('strong');
+        title.textContent = side === 0 ? 'Karte A' : 'Karte B';
+        box.appendChild(title);
+
+        box.appendChild(this.createInput('Emoji', face.emoji, value => {
+            face.emoji = value;
+        }));
+        // Texts in several languages are edited in the current one, the others are kept
+        box.appendChild(this.createInput('Text', localize(face.text), value => {
+            face.text = face.text && typeof face.text === 'object' ? { ...face.text, [activeLocale]: value } : value;
+        }));
+
+        const upload = document.createElement('label');
+        upload.textContent = face.image ? 'Bild ersetzen ' : 'Bild ';
+        const file = document.createElement('input');
+        file.type = 'file';
+        file.accept = 'image/*';
+        file.addEventListener('change', () => this.readImage(file, face));
+        upload.appendChild(file);
+        box.appendChild(upload);
+
+        if (face.image) {
+            const removeImage = document.createElement('button');
+            removeImage.type = 'button';
+            removeImage.textContent = 'Bild entfernen';
+            removeImage.addEventListener('click', () => {
+                delete face.image;
+                this.renderDraft();
+            });
+            box.appendChild(removeImage);
+        }
+
+        return box;
+    }
+
+    createInput(labelText, value, onInput) {
+        const label = document.createElement('label');
+        label.textContent = `${labelText} `;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value || '';
+        input.addEventListener('input', () => onInput(input.value.trim()));
+        label.appendChild(input);
+        return label;
+    }
+
+    readImage(input, face) {
+        const file = input.files[0];
+        if (!file) return;
+
+        if (file.size > this.maxImageSize) {
+            this.showMessage(`Bild "${file.name}" ist größer als 1 MB`);
+            input.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            face.image = reader.result;
+            this.renderDraft();
+        };
+        reader.onerror = () => this.showMessage(`Bild "${file.name}" konnte nicht gelesen werden`);
+        reader.readAsDataURL(file);
+    }
+
+    // Raw set in the cardsets.js format; look-alike groups lose the pairs removed in the editor
+    collectDraft() {
+        const ids = this.draft.pairs.map(pair => pair.id);
+        const set = {
+            id: this.draft.id,
+            name: document.getElementById('cardSetName').value.trim(),
+            joker: document.getElementById('cardSetJoker').value.trim() || '⭐',
+            pairs: this.draft.pairs.map(pair => {
+                const raw = {
+                    id: pair.id,
+                    faces: pair.faces.map(face => ({ ...face }))
+                };
+                if (pair.group) {
+                    raw.group = pair.group;
+                }
+                return raw;
+            })
+        };
+        if (this.draft.similar) {
+            set.similar = this.draft.similar.map(group => group.filter(id => ids.includes(id)))
+                .filter(group => group.length > 1);
+        }
+        return set;
+    }
+
+    renderPreview() {
+        if (!this.draft) return;
+
+        this.preview.innerHTML = '';
+        this.draft.pairs.forEach(pair => {
+            pair.faces.forEach(face => {
+                const card = document.createElement('div');
+                card.className = 'memory-card flipped editor-preview-card';
+                if (face.emoji || face.text || face.image) {
+                    card.appendChild(this.game.renderCardFace(face));
+                }
+                this.preview.appendChild(card);
+            });
+        });
+    }
+
+    async saveDraft() {
+        const set = this.collectDraft();
+        try {
+            if (!set.name) {
+                throw new Error('Das Set braucht einen Namen');
+            }
+            normalizeCardSet(set, set.name);
+            await this.store.save(set);
+        } catch (error) {
+            this.showMessage(error.message);
+            return;
+        }
+
+        CARD_SETS[set.id] = set;
+        this.renderPicker(set.id);
+        this.showMessage(`"${set.name}" gespeichert`);
+    }
+
+    exportSelected() {
+        const id = this.picker.value;
+        downloadJson({ id, ...CARD_SETS[id] }, `kartenset-${id}.json`);
+    }
+
+    // Accepts one exported set or a list of them
+    async importFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const sets = Array.isArray(data) ? data : [data];
+
+            for (const set of sets) {
+                // Never overwrite built-in sets
+                const id = set.id && this.isCustom(String(set.id)) ? String(set.id) : this.createId();
+                const imported = { ...set, id };
+                normalizeCardSet(imported, imported.name || file.name);
+                await this.store.save(imported);
+                CARD_SETS[id] = imported;
+                this.renderPicker(id);
+            }
+            this.showMessage(`${sets.length} Set(s) aus "${file.name}" importiert`);
+        } catch (error) {
+            this.showMessage(`Import fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    showMessage(message) {
+        document.getElementById('cardSetMessage').textContent = message;
+    }
+}
@@ -0,0 +1,101 @@
+// Card renderers decide what a card presents when it is turned over. The picture renderer shows the
+// face (emoji, image, text); the sound renderer ("Ausgabe: Lautsprecher") keeps the faces blank and
+// plays the pair's tone instead, so pairs are matched by listening. Power-up cards always show their face.
+
+// G-major pentatonic like the reference barcode station: G4 A4 B4 D5 E5
+const CARD_TONE_PITCHES = [392.00, 440.00, 493.88, 587.33, 659.25];
+
+// Every pitch is used with each timbre before melodies are needed (sine first, it is the easiest to hear)
+const CARD_TONE_TIMBRES = ['sine', 'square', 'sawtooth'];
+
+// Short melodies as steps through the pitches above
+const CARD_TONE_MELODIES = [[0, 2, 4], [4, 2, 0], [0, 4, 0], [4, 0, 4], [1, 3, 1],
+    [3, 1, 3], [0, 1, 2], [4, 3, 2], [2, 0, 2], [2, 4, 2]];
+
+// Notes of tone number n (same format as the cues in SOUND_THEMES); boards larger than all
+// combinations start over one octave higher
+function cardTone(n) {
+    const single = CARD_TONE_PITCHES.length * CARD_TONE_TIMBRES.length;
+    const cycle = single + CARD_TONE_MELODIES.length;
+    const octave = 2 ** Math.floor(n / cycle);
+    const position = n % cycle;
+
+    if (position < single) {
+        const type = CARD_TONE_TIMBRES[Math.floor(position / CARD_TONE_PITCHES.length)];
+        const frequency = CARD_TONE_PITCHES[position % CARD_TONE_PITCHES.length] * octave;
+        return [{ frequency, duration: 0.6, gain: type === 'sine' ? 0.3 : 0.1, type }];
+    }
+    return CARD_TONE_MELODIES[position - single].map((step, i) => ({
+        frequency: CARD_TONE_PITCHES[step] * octave, start: i * 0.2, duration: 0.25, gain: 0.25, type: 'triangle'
+    }));
+}
+
+class PictureCardRenderer {
+    constructor(game) {
+        this.game = game;
+    }
+
+    // Called with the pairs of a new round (before shuffling)
+    prepare() {}
+
+    render(card, entry) {
+        card.replaceChildren(this.game.renderCardFace(entry.face));
+    }
+
+    // The card has just been turned over
+    reveal() {
+        this.game.sound.play('flip');
+    }
+
+    describe(entry) {
+        return describeCardFace(entry.face);
+    }
+}
+
+class SoundCardRenderer extends PictureCardRenderer {
+    constructor(game) {
+        super(game);
+        this.tones = new Map(); // Pair key -> notes
+    }
+
+    prepare(pairs) {
+        this.tones.clear();
+        pairs.forEach(pair => {
+            if (!this.tones.has(pair.key)) {
+                this.tones.set(pair.key, cardTone(this.tones.size));
+            }
+        });
+    }
+
+    render(card, entry) {
+        if (entry.powerUp) {
+            super.render(card, entry);
+            return;
+        }
+
+        const content = document.createElement('div');
+        content.className = 'card-face card-speaker';
+        content.setAttribute('aria-hidden', 'true');
+        content.textContent = '🔊';
+        card.replaceChildren(content);
+    }
+
+    reveal(card, entry) {
+        const { sound } = this.game;
+        if (entry.powerUp) {
+            super.reveal();
+            return;
+        }
+
+        // Without sound there is nothing to compare
+        if (sound.muted || sound.volume === 0) {
+            this.game.updateGameStatus(tBilingual('status.soundOff'));
+        }
+        sound.playNotes(this.tones.get(entry.key), 'card', true);
+    }
+
+    // The tone itself is not named, otherwise the labels would give the pairs away
+    describe(entry) {
+        return entry.powerUp ? super.describe(entry) : t('card.sound');
+    }
+}
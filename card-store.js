@@ -0,0 +1,64 @@
+// Teacher-made card sets, stored per device in IndexedDB (images are kept as data URLs)
+class CardSetStore {
+    constructor() {
+        this.dbName = 'eva-mouse';
+        this.storeName = 'cardSets';
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB wird von diesem Browser nicht unterstützt'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async run(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    save(set) {
+        return this.run('readwrite', store => store.put(set));
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    // Makes stored sets selectable like the built-in ones (?set=<id>)
+    async loadInto(cardSets) {
+        try {
+            const sets = await this.getAll();
+            sets.forEach(set => {
+                cardSets[set.id] = set;
+            });
+        } catch (error) {
+            console.warn('Custom card sets not loaded:', error);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+// Card sets selectable via ?set=... or "set" in station.config.json
+//
+// A set either lists identical twins as "symbols", or "pairs" whose two faces differ
+// (emoji, text and/or image per face). Two cards match when they share the pair's key
+// (its "group", or else its "id") and show different faces - so with groups, any
+// "⌨️ Tastatur" may be matched with any "Eingabe" card. A face text is a string or one text
+// per language ({ de: 'Maus', en: 'Mouse' }).
+// "similar" optionally lists groups of pair ids that look alike; later levels of the level ladder
+// put whole groups on the board.
+const CARD_SETS = {
+    standard: {
+        name: 'Standard',
+        joker: '⭐',
+        symbols: ['🎵', '🎨', '🎮', '⚽', '🌟', '🎭', '🎪', '🎸', '🎯', '🎲', '🎰', '🎳',
+            '🎹', '🎺', '🎻', '🎤', '🎧', '🎬', '🏀', '🎾', '🚀', '🌈', '🍀', '🐢'],
+        similar: [
+            ['🎵', '🎸', '🎹', '🎺', '🎻'], ['🎤', '🎧'], ['⚽', '🏀', '🎾', '🎳'],
+            ['🎮', '🎲', '🎰', '🎯'], ['🎭', '🎪', '🎬', '🎨'], ['🌟', '🌈', '🚀']
+        ]
+    },
+    tiere: {
+        name: 'Tiere',
+        joker: '⭐',
+        symbols: ['🐶', '🐱', '🐭', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐮', '🐷',
+            '🐸', '🐵', '🐔', '🐧', '🐦', '🦆', '🦉', '🐴', '🦄', '🐝', '🐞', '🐢'],
+        similar: [
+            ['🐶', '🐱', '🦊', '🐯', '🦁'], ['🐻', '🐼', '🐨'], ['🐭', '🐰'],
+            ['🐮', '🐷', '🐴', '🦄'], ['🐔', '🐧', '🐦', '🦆', '🦉'], ['🐝', '🐞'],
+            ['🐸', '🐢']
+        ]
+    },
+    computer: {
+        name: 'Computer',
+        joker: '⭐',
+        symbols: ['⌨️', '🖱️', '🖥️', '💻', '🖨️', '🎧', '🎤', '📷', '🔊', '💾', '💿', '📱',
+            '🕹️', '📡', '🔋', '🔌', '📀', '🖲️', '📟', '📠', '☎️', '📺', '📻', '⏰'],
+        similar: [
+            ['🖥️', '💻', '📺', '📱'], ['💾', '💿', '📀'], ['🎧', '🎤', '🔊', '📻'],
+            ['⌨️', '🖱️', '🖲️', '🕹️'], ['☎️', '📠', '📟', '🖨️'], ['🔋', '🔌']
+        ]
+    },
+    eva: {
+        name: 'EVA: Gerät ↔ Aufgabe',
+        joker: '⭐',
+        pairs: [
+            { id: 'tastatur', group: 'eingabe', faces: [{ emoji: '⌨️', text: { de: 'Tastatur', en: 'Keyboard', tr: 'Klavye' } }, { emoji: '➡️', text: { de: 'Eingabe', en: 'Input', tr: 'Girdi' } }] },
+            { id: 'drucker', group: 'ausgabe', faces: [{ emoji: '🖨️', text: { de: 'Drucker', en: 'Printer', tr: 'Yazıcı' } }, { emoji: '⬅️', text: { de: 'Ausgabe', en: 'Output', tr: 'Çıktı' } }] },
+            { id: 'cpu', group: 'verarbeitung', faces: [{ emoji: '🧠', text: { de: 'CPU', en: 'CPU', tr: 'CPU' } }, { emoji: '⚙️', text: { de: 'Verarbeitung', en: 'Processing', tr: 'İşlem' } }] },
+            { id: 'maus', group: 'eingabe', faces: [{ emoji: '🖱️', text: { de: 'Maus', en: 'Mouse', tr: 'Fare' } }, { emoji: '➡️', text: { de: 'Eingabe', en: 'Input', tr: 'Girdi' } }] },
+            { id: 'bildschirm', group: 'ausgabe', faces: [{ emoji: '🖥️', text: { de: 'Bildschirm', en: 'Screen', tr: 'Ekran' } }, { emoji: '⬅️', text: { de: 'Ausgabe', en: 'Output', tr: 'Çıktı' } }] },
+            { id: 'grafikkarte', group: 'verarbeitung', faces: [{ emoji: '🎮', text: { de: 'Grafikkarte', en: 'Graphics card', tr: 'Ekran kartı' } }, { emoji: '⚙️', text: { de: 'Verarbeitung', en: 'Processing', tr: 'İşlem' } }] },
+            { id: 'mikrofon', group: 'eingabe', faces: [{ emoji: '🎤', text: { de: 'Mikrofon', en: 'Microphone', tr: 'Mikrofon' } }, { emoji: '➡️', text: { de: 'Eingabe', en: 'Input', tr: 'Girdi' } }] },
+            { id: 'lautsprecher', group: 'ausgabe', faces: [{ emoji: '🔊', text: { de: 'Lautsprecher', en: 'Speaker', tr: 'Hoparlör' } }, { emoji: '⬅️', text: { de: 'Ausgabe', en: 'Output', tr: 'Çıktı' } }] },
+            { id: 'kamera', group: 'eingabe', faces: [{ emoji: '📷', text: { de: 'Kamera', en: 'Camera', tr: 'Kamera' } }, { emoji: '➡️', text: { de: 'Eingabe', en: 'Input', tr: 'Girdi' } }] },
+            { id: 'kopfhoerer', group: 'ausgabe', faces: [{ emoji: '🎧', text: { de: 'Kopfhörer', en: 'Headphones', tr: 'Kulaklık' } }, { emoji: '⬅️', text: { de: 'Ausgabe', en: 'Output', tr: 'Çıktı' } }] },
+            { id: 'joystick', group: 'eingabe', faces: [{ emoji: '🕹️', text: { de: 'Joystick', en: 'Joystick', tr: 'Oyun kolu' } }, { emoji: '➡️', text: { de: 'Eingabe', en: 'Input', tr: 'Girdi' } }] },
+            { id: 'beamer', group: 'ausgabe', faces: [{ emoji: '📽️', text: { de: 'Beamer', en: 'Projector', tr: 'Projeksiyon' } }, { emoji: '⬅️', text: { de: 'Ausgabe', en: 'Output', tr: 'Çıktı' } }] }
+        ]
+    },
+    byte: {
+        name: 'Byte-Gefühle: Bild ↔ Wort',
+        joker: '⭐',
+        pairs: [
+            { id: 'normal', faces: [{ image: 'Byte_mascot/Byte_normal.png' }, { text: { de: 'ruhig', en: 'calm', tr: 'sakin' } }] },
+            { id: 'happy', faces: [{ image: 'Byte_mascot/Byte_Happy.png' }, { text: { de: 'fröhlich', en: 'happy', tr: 'neşeli' } }] },
+            { id: 'sad', faces: [{ image: 'Byte_mascot/Byte_sad.png' }, { text: { de: 'traurig', en: 'sad', tr: 'üzgün' } }] },
+            { id: 'thinking', faces: [{ image: 'Byte_mascot/Byte_Thinking.png' }, { text: { de: 'nachdenklich', en: 'thoughtful', tr: 'düşünceli' } }] }
+        ]
+    }
+};
+
+const DEFAULT_CARD_SET = 'standard';
+
+// Sets shipped with the game; teacher-made sets (card-store.js) are added to CARD_SETS at startup
+const BUILT_IN_CARD_SET_IDS = Object.keys(CARD_SETS);
+
+// Brings both set formats into { name, joker, pairs: [{ id, key, faces: [face, face] }], similar: [[id, ...]] }
+function normalizeCardSet(set, setId = set.name) {
+    if (!set || typeof set !== 'object') {
+        throw new Error(`Karten-Set "${setId}" ist kein Objekt`);
+    }
+
+    const joker = set.joker || '⭐';
+    const pairs = Array.isArray(set.pairs)
+        ? set.pairs
+        : (set.symbols || []).map(symbol => ({ id: symbol, faces: [{ emoji: symbol }, { emoji: symbol }] }));
+
+    if (pairs.length === 0) {
+        throw new Error(`Karten-Set "${setId}" enthält keine Paare`);
+    }
+
+    const ids = new Set();
+    const normalizedPairs = pairs.map((pair, index) => {
+        const id = pair && pair.id !== undefined ? String(pair.id) : '';
+        if (!id || ids.has(id)) {
+            throw new Error(`Karten-Set "${setId}", Paar ${index + 1}: fehlende oder doppelte id`);
+        }
+        ids.add(id);
+
+        const faces = (pair.faces || []).map(face => normalizeCardFace(face, setId, id));
+        if (faces.length !== 2) {
+            throw new Error(`Karten-Set "${setId}", Paar "${id}": genau zwei Seiten erwartet`);
+        }
+
+        return { id, key: pair.group ? String(pair.group) : id, faces };
+    });
+
+    const similar = set.similar || [];
+    if (!Array.isArray(similar) || similar.some(group => !Array.isArray(group))) {
+        throw new Error(`Karten-Set "${setId}": "similar" muss eine Liste von Gruppen sein`);
+    }
+    similar.flat().forEach(id => {
+        if (!ids.has(String(id))) {
+            throw new Error(`Karten-Set "${setId}": "similar" nennt die unbekannte id "${id}"`);
+        }
+    });
+
+    return { name: set.name || setId, joker, pairs: normalizedPairs, similar: similar.map(group => group.map(String)) };
+}
+
+function normalizeCardFace(face, setId, pairId) {
+    const normalized = {};
+    ['emoji', 'image'].forEach(field => {
+        if (face && typeof face[field] === 'string' && face[field] !== '') {
+            normalized[field] = face[field];
+        }
+    });
+    if (face && isLocalizedText(face.text)) {
+        normalized.text = face.text;
+    }
+
+    if (Object.keys(normalized).length === 0) {
+        throw new Error(`Karten-Set "${setId}", Paar "${pairId}": Seite braucht emoji, text oder image`);
+    }
+    return normalized;
+}
+
+// Short description of a face, e.g. for the EVA panel ("⌨️ Tastatur", "Bild")
+function describeCardFace(face, locale = activeLocale) {
+    const parts = [face.emoji, localize(face.text, locale)].filter(Boolean);
+    return parts.length > 0 ? parts.join(' ') : t('card.image', {}, locale);
+}
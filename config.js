@@ -0,0 +1,323 @@
+// Station configuration: defaults < station.config.json < choices saved on this device < URL parameters
+// (?work=240&pause=120&set=tiere&board=4x4)
+const STATION_CONFIG_FILE = 'station.config.json';
+const DEVICE_CONFIG_KEY = 'eva-mouse:config';
+
+const DEFAULT_STATION_CONFIG = {
+    work: 180,
+    pause: 180,
+    set: DEFAULT_CARD_SET,
+    board: DEFAULT_BOARD_LAYOUT,
+    schedule: DEFAULT_SCHEDULE,
+    rotations: 0,
+    powerups: {},
+    players: [],
+    roles: false,
+    opponent: 'none',
+    mode: 'memory',
+    levels: false,
+    bonus: false,
+    input: 'keyboard-mouse',
+    click: 'single',
+    texts: {},
+    lang: '',
+    sound: DEFAULT_SOUND_THEME,
+    volume: 80,
+    mute: false,
+    eva: false,
+    speech: false,
+    a11y: false,
+    debug: false
+};
+
+// Element ids whose text can be replaced via "texts" in the config file
+const STATION_TEXT_IDS = ['missionTitle', 'missionDescription', 'confirmBtn', 'gameStatus',
+    'timerLabel', 'modalTitle', 'modalTimerText'];
+
+const STATION_URL_PARAMS = ['work', 'pause', 'set', 'board', 'schedule', 'rotations', 'powerups', 'players', 'roles', 'opponent', 'mode', 'levels', 'bonus', 'input', 'click', 'lang', 'sound', 'volume', 'mute', 'eva', 'speech', 'a11y', 'debug'];
+
+// 'memory' = flip two cards, 'sound' = flip two blank cards and match them by their tone ("Ausgabe: Lautsprecher"),
+// 'drag' = drag face-up cards onto their partner, 'sequence' = repeat the cells Byte lights up ("Simon")
+const GAME_MODES = ['memory', 'sound', 'drag', 'sequence'];
+
+// 'keyboard-mouse' = arrows + button ("Tastatur + Maus"), 'mouse' = point at the cards ("Maus-Modus")
+const INPUT_MODES = ['keyboard-mouse', 'mouse'];
+const CLICK_MODES = ['single', 'double'];
+
+async function loadStationConfig(search = window.location.search) {
+    const errors = [];
+    const fileConfig = await fetchStationConfigFile(errors);
+    const deviceConfig = loadDeviceConfig();
+    const urlConfig = readUrlConfig(search);
+    const config = validateStationConfig({ ...DEFAULT_STATION_CONFIG, ...fileConfig, ...deviceConfig, ...urlConfig }, errors);
+
+    return { config, errors };
+}
+
+async function fetchStationConfigFile(errors) {
+    let response;
+    try {
+        response = await fetch(STATION_CONFIG_FILE, { cache: 'no-store' });
+    } catch (error) {
+        // No config file reachable (e.g. opened via file://) - defaults are fine
+        console.warn('Station config not loaded:', error);
+        return {};
+    }
+
+    if (!response.ok) return {};
+
+    try {
+        const config = await response.json();
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('kein JSON-Objekt');
+        }
+        return config;
+    } catch (error) {
+        errors.push(`${STATION_CONFIG_FILE} konnte nicht gelesen werden (${error.message}) - Standardwerte werden verwendet`);
+        return {};
+    }
+}
+
+// Settings picked in the teacher tools (e.g. the card set) survive reloads on this device
+function loadDeviceConfig() {
+    try {
+        const config = JSON.parse(localStorage.getItem(DEVICE_CONFIG_KEY));
+        return config && typeof config === 'object' ? config : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveDeviceConfig(values) {
+    try {
+        localStorage.setItem(DEVICE_CONFIG_KEY, JSON.stringify({ ...loadDeviceConfig(), ...values }));
+    } catch (error) {
+        console.warn('Device config not saved:', error);
+    }
+}
+
+function readUrlConfig(search) {
+    const params = new URLSearchParams(search);
+    const config = {};
+
+    STATION_URL_PARAMS.forEach(key => {
+        if (params.has(key)) {
+            config[key] = params.get(key);
+        }
+    });
+
+    return config;
+}
+
+// Turns raw values into what MemoryGame expects; every invalid value is reported and replaced by its default
+function validateStationConfig(raw, errors = []) {
+    // ?lang=en or ?lang=tr,de (second language below the first); empty = browser language
+    let languages;
+    try {
+        languages = resolveLanguages(raw.lang);
+    } catch (error) {
+        errors.push(`lang=${raw.lang}: ${error.message} - Sprache des Browsers wird verwendet`);
+        languages = resolveLanguages('');
+    }
+
+    const workingTime = validateSeconds('work', raw.work, errors);
+    const modalTime = validateSeconds('pause', raw.pause, errors);
+
+    let setId = String(raw.set);
+    if (!CARD_SETS[setId]) {
+        errors.push(`set=${raw.set}: unbekanntes Karten-Set (vorhanden: ${Object.keys(CARD_SETS).join(', ')}) - "${DEFAULT_CARD_SET}" wird verwendet`);
+        setId = DEFAULT_CARD_SET;
+    }
+    let cardSet;
+    try {
+        cardSet = normalizeCardSet(CARD_SETS[setId], setId);
+    } catch (error) {
+        errors.push(`set=${setId}: ${error.message} - "${DEFAULT_CARD_SET}" wird verwendet`);
+        setId = DEFAULT_CARD_SET;
+        cardSet = normalizeCardSet(CARD_SETS[setId], setId);
+    }
+
+    const gameMode = validateChoice('mode', raw.mode, GAME_MODES, errors);
+
+    let powerUps;
+    try {
+        powerUps = resolvePowerUps(raw.powerups);
+    } catch (error) {
+        errors.push(`powerups: ${error.message} - keine Sonderkarten`);
+        powerUps = [];
+    }
+    // Sequence mode has no cards to turn over
+    if (gameMode === 'sequence' && powerUps.length > 0) {
+        errors.push('powerups: nicht mit mode=sequence möglich - keine Sonderkarten');
+        powerUps = [];
+    }
+    // Blank cards in sound mode - a peek would show nothing
+    if (gameMode === 'sound' && powerUps.some(powerUp => powerUp.type === 'peek')) {
+        errors.push('powerups.peek: nicht mit mode=sound möglich - ohne Spicken-Karten');
+        powerUps = powerUps.filter(powerUp => powerUp.type !== 'peek');
+    }
+
+    let board = raw.board;
+    let layout;
+    try {
+        layout = resolveBoardLayout(board, powerUps.length);
+    } catch (error) {
+        errors.push(`board=${typeof board === 'object' ? JSON.stringify(board) : board}: ${error.message} - "${DEFAULT_BOARD_LAYOUT}" wird verwendet`);
+        board = DEFAULT_BOARD_LAYOUT;
+        try {
+            layout = resolveBoardLayout(board, powerUps.length);
+        } catch (defaultError) {
+            errors.push(`powerups: ${defaultError.message} - keine Sonderkarten`);
+            powerUps = [];
+            layout = resolveBoardLayout(board);
+        }
+    }
+
+    // A set that is too small for the board falls back to the standard set, if that one is big enough
+    if (layout.pairs > cardSet.pairs.length) {
+        const defaultSet = normalizeCardSet(CARD_SETS[DEFAULT_CARD_SET], DEFAULT_CARD_SET);
+        const problem = `${layout.rows}x${layout.cols} braucht ${layout.pairs} Paare, Set "${setId}" hat nur ${cardSet.pairs.length}`;
+
+        if (layout.pairs <= defaultSet.pairs.length) {
+            errors.push(`set=${setId}: ${problem} - "${DEFAULT_CARD_SET}" wird verwendet`);
+            setId = DEFAULT_CARD_SET;
+            cardSet = defaultSet;
+        } else {
+            errors.push(`board=${layout.rows}x${layout.cols}: ${problem} - "${DEFAULT_BOARD_LAYOUT}" wird verwendet`);
+            board = DEFAULT_BOARD_LAYOUT;
+        }
+    }
+
+    let phases;
+    try {
+        phases = resolveSchedule(raw.schedule, { work: workingTime, pause: modalTime });
+    } catch (error) {
+        errors.push(`schedule: ${error.message} - "${DEFAULT_SCHEDULE}" wird verwendet`);
+        phases = resolveSchedule(DEFAULT_SCHEDULE, { work: workingTime, pause: modalTime });
+    }
+
+    // Number of groups rotating through the station (0 = no limit)
+    let rotations = Number(raw.rotations);
+    if (!Number.isInteger(rotations) || rotations < 0 || rotations > 50) {
+        errors.push(`rotations=${raw.rotations}: ganze Zahl zwischen 0 und 50 erwartet - keine Begrenzung`);
+        rotations = 0;
+    }
+
+    // A won board leads to the next level (not in sequence mode, which never ends by itself)
+    const levels = isEnabled(raw.levels) && gameMode !== 'sequence';
+    const inputMode = validateChoice('input', raw.input, INPUT_MODES, errors);
+    const clickMode = validateChoice('click', raw.click, CLICK_MODES, errors);
+
+    // Byte as opponent ('easy', 'medium', 'hard') flips cards, so it plays neither drag nor sequence mode
+    let opponent = validateChoice('opponent', raw.opponent, ['none', ...Object.keys(OPPONENT_LEVELS)], errors);
+    if (opponent !== 'none' && (gameMode === 'drag' || gameMode === 'sequence')) {
+        errors.push(`opponent=${opponent}: nicht mit mode=${gameMode} möglich - ohne Byte`);
+        opponent = 'none';
+    }
+
+    let players;
+    try {
+        players = opponent === 'none'
+            ? resolvePlayers(raw.players)
+            : resolvePlayers(raw.players, 1, PLAYER_COLORS.length - 1);
+    } catch (error) {
+        errors.push(`players: ${error.message} - ${opponent === 'none' ? 'Einzelspiel' : 'ein Spieler gegen Byte'}`);
+        players = [];
+    }
+    // The player chips count pairs; sequence mode is played as one group
+    if (gameMode === 'sequence' && players.length > 0) {
+        errors.push('players: nicht mit mode=sequence möglich - Einzelspiel');
+        players = [];
+    }
+    if (opponent !== 'none') {
+        players = [...(players.length > 0 ? players : [{ name: t('players.you', {}, languages.locale), color: PLAYER_COLORS[0], you: true }]), OPPONENT_PLAYER];
+    }
+
+    // A won board is followed by sequence mode on the same grid for the rest of the working time (played as one group)
+    let bonus = isEnabled(raw.bonus);
+    if (bonus && (gameMode === 'drag' || gameMode === 'sequence' || players.length > 0)) {
+        errors.push('bonus: nur im Einzelspiel mit mode=memory oder mode=sound möglich - ohne Bonus-Runde');
+        bonus = false;
+    }
+
+    // Roles (one player steers, the next one clicks) need the arrow keys, the button and human players
+    let roles = isEnabled(raw.roles);
+    if (roles && (players.length === 0 || opponent !== 'none' || inputMode !== 'keyboard-mouse' || gameMode === 'drag')) {
+        errors.push('roles: nur mit mehreren Spielern ohne Byte, input=keyboard-mouse und mode=memory oder mode=sound möglich - ohne Rollen');
+        roles = false;
+    }
+
+    // Sound theme, volume (0-100) and mute; the speaker controls store them on the device
+    const soundTheme = validateChoice('sound', raw.sound, Object.keys(SOUND_THEMES), errors);
+    let volume = Number(raw.volume);
+    if (raw.volume === '' || !Number.isInteger(volume) || volume < 0 || volume > 100) {
+        errors.push(`volume=${raw.volume}: ganze Zahl zwischen 0 und 100 erwartet - ${DEFAULT_STATION_CONFIG.volume} wird verwendet`);
+        volume = DEFAULT_STATION_CONFIG.volume;
+    }
+    const muted = isEnabled(raw.mute);
+
+    const texts = {};
+    if (raw.texts && typeof raw.texts === 'object') {
+        Object.entries(raw.texts).forEach(([id, text]) => {
+            if (!STATION_TEXT_IDS.includes(id)) {
+                errors.push(`texts.${id}: unbekannter Text (erlaubt: ${STATION_TEXT_IDS.join(', ')})`);
+            } else if (!isLocalizedText(text)) {
+                errors.push(`texts.${id}: Text oder Texte pro Sprache erwartet (z.B. { "de": "…", "en": "…" })`);
+            } else {
+                texts[id] = text;
+            }
+        });
+    } else if (raw.texts !== undefined) {
+        errors.push('texts: Objekt erwartet');
+    }
+
+    // ?eva shows the EVA panel from the start, ?speech reads texts aloud, ?a11y lets Enter/Space flip cards,
+    // ?debug logs every game state transition
+    const evaPanel = isEnabled(raw.eva);
+    const readAloud = isEnabled(raw.speech);
+    const accessible = isEnabled(raw.a11y);
+    const debug = isEnabled(raw.debug);
+
+    return { workingTime, modalTime, setId, cardSet, board, powerUps, phases, rotations, players, roles, opponent, gameMode, levels, bonus, inputMode, clickMode, texts, locale: languages.locale, secondLocale: languages.second, soundTheme, volume, muted, evaPanel, readAloud, accessible, debug };
+}
+
+function validateChoice(key, value, choices, errors) {
+    if (!choices.includes(value)) {
+        errors.push(`${key}=${value}: erlaubt sind ${choices.join(', ')} - "${DEFAULT_STATION_CONFIG[key]}" wird verwendet`);
+        return DEFAULT_STATION_CONFIG[key];
+    }
+    return value;
+}
+
+// Flags: true in JSON, or ?flag / ?flag=1 / ?flag=true in the URL
+function isEnabled(value) {
+    return value === true || value === '' || value === 'true' || value === '1';
+}
+
+function validateSeconds(key, value, errors) {
+    const seconds = Number(value);
+    if (value === '' || value === null || !Number.isInteger(seconds) || seconds < 10 || seconds > 3600) {
+        errors.push(`${key}=${value}: ganze Sekundenzahl zwischen 10 und 3600 erwartet - ${DEFAULT_STATION_CONFIG[key]} wird verwendet`);
+        return DEFAULT_STATION_CONFIG[key];
+    }
+    return seconds;
+}
+
+// Teacher-facing error banner (the game still runs with the fallback values)
+function showConfigErrors(errors) {
+    const banner = document.getElementById('configError');
+    const list = document.getElementById('configErrorList');
+    if (!banner || errors.length === 0) return;
+
+    list.innerHTML = '';
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    });
+
+    banner.hidden = false;
+    banner.addEventListener('click', () => {
+        banner.hidden = true;
+    }, { once: true });
+}
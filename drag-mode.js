@@ -0,0 +1,100 @@
+// Drag-and-drop pairing: all cards are face up and each one is dragged onto its partner.
+// Uses pointer events on the grid, so it works with mouse, pen and touch alike.
+class DragPairing {
+    constructor(game) {
+        this.game = game;
+        this.grid = document.getElementById('memoryGrid');
+        this.source = null;
+        this.ghost = null;
+        this.target = null;
+        this.offset = { x: 0, y: 0 };
+
+        this.grid.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.grid.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.grid.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.grid.addEventListener('pointercancel', () => this.cleanup());
+    }
+
+    isDraggable(card) {
+        return card && !card.classList.contains('blank') && !card.classList.contains('matched');
+    }
+
+    handlePointerDown(e) {
+        const card = e.target.closest('.memory-card');
+        if (!this.isDraggable(card) || this.source) return;
+
+        // The first drag starts the round like the first click in memory mode
+        this.game.startIfIdle();
+        if (!this.game.state.is('playing')) return;
+
+        e.preventDefault();
+        if (this.grid.setPointerCapture) {
+            this.grid.setPointerCapture(e.pointerId);
+        }
+
+        const rect = card.getBoundingClientRect();
+        this.source = card;
+        this.offset = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+
+        this.ghost = card.cloneNode(true);
+        this.ghost.classList.add('drag-ghost');
+        this.ghost.classList.remove('selected');
+        this.ghost.style.width = `${rect.width}px`;
+        this.ghost.style.height = `${rect.height}px`;
+        document.body.appendChild(this.ghost);
+        this.moveGhost(e);
+
+        card.classList.add('dragging');
+        this.game.emitEva('input', t('eva.dragStart', { card: Number(card.dataset.index) + 1 }));
+    }
+
+    handlePointerMove(e) {
+        if (!this.source) return;
+
+        this.moveGhost(e);
+
+        const target = this.findTarget(e);
+        if (target !== this.target) {
+            if (this.target) this.target.classList.remove('drop-target');
+            if (target) target.classList.add('drop-target');
+            this.target = target;
+        }
+    }
+
+    async handlePointerUp(e) {
+        if (!this.source) return;
+
+        const source = this.source;
+        const target = this.findTarget(e);
+        this.cleanup();
+
+        if (!target) {
+            this.game.emitEva('input', t('eva.dropMissed'));
+            this.game.emitEva('processing', t('eva.dropBack'));
+            return;
+        }
+
+        this.game.emitEva('input', t('eva.drop', { card: Number(source.dataset.index) + 1, target: Number(target.dataset.index) + 1 }));
+        await this.game.pairCards(source, target);
+    }
+
+    findTarget(e) {
+        const element = document.elementFromPoint(e.clientX, e.clientY);
+        const card = element && element.closest('.memory-card');
+        return card !== this.source && this.isDraggable(card) ? card : null;
+    }
+
+    moveGhost(e) {
+        this.ghost.style.left = `${e.clientX - this.offset.x}px`;
+        this.ghost.style.top = `${e.clientY - this.offset.y}px`;
+    }
+
+    cleanup() {
+        if (this.ghost) this.ghost.remove();
+        if (this.source) this.source.classList.remove('dragging');
+        if (this.target) this.target.classList.remove('drop-target');
+        this.ghost = null;
+        this.source = null;
+        this.target = null;
+    }
+}
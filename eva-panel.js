@@ -0,0 +1,58 @@
+// Side panel that makes the EVA principle visible: every action lights up
+// Eingabe → Verarbeitung → Ausgabe with what actually happened
+class EvaPanel {
+    constructor(game, visible = false) {
+        this.panel = document.getElementById('evaPanel');
+        this.stages = {};
+        this.outputs = [];
+        this.highlightTimers = {};
+
+        this.panel.querySelectorAll('.eva-stage').forEach(stage => {
+            this.stages[stage.dataset.stage] = stage;
+        });
+
+        game.on('eva', ({ stage, text }) => this.show(stage, text));
+        game.teacherHotkeys.e = () => this.toggle();
+
+        this.toggle(visible);
+    }
+
+    toggle(visible = this.panel.hidden) {
+        this.panel.hidden = !visible;
+    }
+
+    show(stage, text) {
+        // A new input starts a new pipeline run, a new processing step collects fresh outputs
+        if (stage === 'input') {
+            this.setText('processing', '–');
+            this.setText('output', '–');
+        }
+        if (stage !== 'output') {
+            this.outputs = [];
+        } else {
+            this.outputs.push(text);
+            text = this.outputs.join(' + ');
+        }
+
+        this.setText(stage, text);
+        this.highlight(stage);
+    }
+
+    setText(stage, text) {
+        this.stages[stage].querySelector('.eva-stage-text').textContent = text;
+    }
+
+    highlight(stage) {
+        const element = this.stages[stage];
+
+        // Restart the glow animation even if the stage is still lit
+        element.classList.remove('active');
+        void element.offsetWidth;
+        element.classList.add('active');
+
+        clearTimeout(this.highlightTimers[stage]);
+        this.highlightTimers[stage] = setTimeout(() => {
+            element.classList.remove('active');
+        }, 1500);
+    }
+}
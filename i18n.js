@@ -0,0 +1,138 @@
+// Languages: ?lang=en shows one language, ?lang=tr,de shows the second one below the first
+// (bilingual display, e.g. for DaZ classes). Without "lang" the browser language is used.
+const LOCALES = {
+    de: { name: 'Deutsch', tag: 'de-DE' },
+    en: { name: 'English', tag: 'en-GB' },
+    tr: { name: 'Türkçe', tag: 'tr-TR' }
+};
+
+const DEFAULT_LOCALE = 'de';
+
+let activeLocale = DEFAULT_LOCALE;
+let secondLocale = null;
+
+// "tr,de" -> { locale: 'tr', second: 'de' }, "en-US" -> { locale: 'en', second: null }
+function resolveLanguages(lang) {
+    if (lang === undefined || lang === null || lang === '') {
+        const browser = (navigator.languages || [navigator.language]).map(baseLanguage).find(code => LOCALES[code]);
+        return { locale: browser || DEFAULT_LOCALE, second: null };
+    }
+
+    const codes = String(lang).split(',').map(code => code.trim()).filter(Boolean);
+    if (codes.length === 0 || codes.length > 2) {
+        throw new Error('eine oder zwei Sprachen erwartet, z.B. "en" oder "tr,de"');
+    }
+    codes.forEach(code => {
+        if (!LOCALES[baseLanguage(code)]) {
+            throw new Error(`unbekannte Sprache "${code}" (vorhanden: ${Object.keys(LOCALES).join(', ')})`);
+        }
+    });
+
+    const [locale, second] = codes.map(baseLanguage);
+    return { locale, second: second && second !== locale ? second : null };
+}
+
+function baseLanguage(code) {
+    return String(code || '').toLowerCase().split('-')[0];
+}
+
+function setLocale(locale, second = null) {
+    activeLocale = locale;
+    secondLocale = second !== locale ? second : null;
+    document.documentElement.lang = locale;
+}
+
+function displayLocales() {
+    return secondLocale ? [activeLocale, secondLocale] : [activeLocale];
+}
+
+// Looks the key up in the catalog (falling back to German) and fills in the placeholders.
+// { count } picks the plural form, { variant } one of several wordings.
+function t(key, values = {}, locale = activeLocale) {
+    const messages = MESSAGES[locale] || {};
+    let message = key in messages ? messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+
+    if (Array.isArray(message)) {
+        message = message[(values.variant || 0) % message.length];
+    } else if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(LOCALES[locale].tag).select(values.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+function countVariants(key, locale = activeLocale) {
+    const message = (MESSAGES[locale] || {})[key] || MESSAGES[DEFAULT_LOCALE][key];
+    return Array.isArray(message) ? message.length : 1;
+}
+
+// The message in every language, for texts that have to follow a later language switch (card faces)
+function tAll(key, values = {}) {
+    const text = {};
+    Object.keys(LOCALES).forEach(locale => {
+        text[locale] = t(key, values, locale);
+    });
+    return text;
+}
+
+// Status lines, mission and Byte's tips in both display languages, one per line.
+// Values may depend on the language: tBilingual('byte.time', locale => ({ time: ... }))
+function tBilingual(key, values = {}) {
+    const lines = displayLocales().map(locale => t(key, typeof values === 'function' ? values(locale) : values, locale));
+    return [...new Set(lines)].join('\n');
+}
+
+// Card, phase and station texts: a plain string or one per language ({ "de": "Maus", "en": "Mouse" })
+function isLocalizedText(text) {
+    if (typeof text === 'string') return text !== '';
+    if (!text || typeof text !== 'object' || Array.isArray(text) || Object.keys(text).length === 0) return false;
+    return Object.entries(text).every(([locale, value]) => LOCALES[locale] && typeof value === 'string');
+}
+
+function localize(text, locale = activeLocale) {
+    if (!text || typeof text !== 'object') return text;
+    if (text[locale] !== undefined) return text[locale];
+    return text[DEFAULT_LOCALE] !== undefined ? text[DEFAULT_LOCALE] : Object.values(text)[0];
+}
+
+function bilingual(text) {
+    return [...new Set(displayLocales().map(locale => localize(text, locale)))].join('\n');
+}
+
+// Speech output and screen readers only get the first language
+function firstLine(text) {
+    return String(text).split('\n')[0];
+}
+
+// Static texts in index.html carry their key in data-i18n
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.title = t('page.title');
+}
+
+class LanguageSwitcher {
+    constructor(game) {
+        this.select = document.getElementById('languageSelect');
+
+        Object.entries(LOCALES).forEach(([locale, { name }]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = name;
+            this.select.appendChild(option);
+        });
+        this.update();
+
+        this.select.addEventListener('change', () => {
+            game.setLanguage(this.select.value);
+            saveDeviceConfig({ lang: displayLocales().join(',') });
+        });
+        game.on('locale', () => this.update());
+    }
+
+    update() {
+        this.select.value = activeLocale;
+        this.select.setAttribute('aria-label', t('language.label'));
+    }
+}
@@ -0,0 +1,63 @@
+// Board layouts: every grid-dependent value (bounds, pairs, jokers, CSS columns) comes from here
+const BOARD_LAYOUTS = {
+    '4x4': { rows: 4, cols: 4, jokers: 0 },
+    '4x5': { rows: 4, cols: 5, jokers: 0 },
+    '5x5': { rows: 5, cols: 5, jokers: 1 },
+    '5x6': { rows: 5, cols: 6, jokers: 0 },
+    '6x6': { rows: 6, cols: 6, jokers: 0 }
+};
+
+const DEFAULT_BOARD_LAYOUT = '5x5';
+
+// Accepts a preset name, any "RxC" string or a { rows, cols, jokers, filler } object.
+// filler decides what fills an odd leftover cell: 'joker' (default) or 'blank'.
+// powerUps is the number of configured power-up cards, which take cells away from the pairs.
+function resolveBoardLayout(layout = DEFAULT_BOARD_LAYOUT, powerUps = 0) {
+    let definition = layout;
+
+    if (typeof layout === 'string') {
+        definition = BOARD_LAYOUTS[layout];
+
+        if (!definition) {
+            const match = layout.trim().match(/^(\d+)\s*x\s*(\d+)$/i);
+            if (!match) {
+                throw new Error(`Unbekanntes Spielfeld: "${layout}"`);
+            }
+            definition = { rows: Number(match[1]), cols: Number(match[2]) };
+        }
+    }
+
+    const rows = Number(definition.rows);
+    const cols = Number(definition.cols);
+    const jokers = Number(definition.jokers || 0);
+    const filler = definition.filler || 'joker';
+
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 2 || cols < 2) {
+        throw new Error(`Ungültiges Spielfeld: ${definition.rows}x${definition.cols}`);
+    }
+    if (!Number.isInteger(jokers) || jokers < 0) {
+        throw new Error(`Ungültige Joker-Anzahl: ${definition.jokers}`);
+    }
+    if (filler !== 'joker' && filler !== 'blank') {
+        throw new Error(`Ungültiger Füller: "${filler}" (erlaubt: joker, blank)`);
+    }
+
+    const cells = rows * cols;
+    const specials = jokers + powerUps;
+    const pairs = Math.floor((cells - specials) / 2);
+    const leftover = cells - specials - pairs * 2;
+
+    if (pairs < 1) {
+        throw new Error(`Zu viele Joker und Sonderkarten für ein ${rows}x${cols}-Feld`);
+    }
+
+    return {
+        rows,
+        cols,
+        cells,
+        pairs,
+        jokers: jokers + (filler === 'joker' ? leftover : 0),
+        blanks: filler === 'blank' ? leftover : 0,
+        powerUps
+    };
+}
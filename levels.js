@@ -0,0 +1,130 @@
+// Level ladder (?levels): a won board is followed by the next larger one while the working time goes on,
+// so fast groups keep playing. Later levels put whole groups of look-alike symbols on the board (if the set
+// lists them as "similar"), leave a mismatch open for a shorter time and have no more jokers than the level
+// before. The score breakdown follows the last level or the timeout.
+const LEVEL_LADDER = [
+    { board: '4x4', jokers: 2, mismatchTime: 1500, similar: false },
+    { board: '4x5', jokers: 2, mismatchTime: 1200, similar: false },
+    { board: '5x5', jokers: 1, mismatchTime: 1000, similar: false },
+    { board: '5x6', jokers: 0, mismatchTime: 800, similar: true },
+    { board: '6x6', jokers: 0, mismatchTime: 600, similar: true }
+];
+
+const LEVEL_MISMATCH_STEP = 100; // ms every level takes at least off the time a mismatch stays open
+
+// Level 1 is the configured board; the ladder goes on with every larger board the card set has enough pairs for
+function resolveLevels(board, powerUps, pairCount) {
+    const first = resolveBoardLayout(board, powerUps);
+    const match = LEVEL_LADDER.find(level => level.board === board) || LEVEL_LADDER.find(level => {
+        const [rows, cols] = level.board.split('x').map(Number);
+        return rows * cols >= first.cells;
+    }) || LEVEL_LADDER[LEVEL_LADDER.length - 1];
+    const levels = [{ layout: first, mismatchTime: match.mismatchTime, similar: match.similar }];
+
+    LEVEL_LADDER.forEach(level => {
+        const previous = levels[levels.length - 1];
+        const [rows, cols] = level.board.split('x').map(Number);
+        if (rows * cols <= previous.layout.cells) return;
+
+        // Never more jokers than before: an odd cell left over stays blank
+        let layout;
+        try {
+            layout = resolveBoardLayout({ rows, cols, jokers: Math.min(level.jokers, previous.layout.jokers), filler: 'blank' }, powerUps);
+        } catch (error) {
+            return; // Too many power-ups for this board
+        }
+        if (layout.pairs <= pairCount) {
+            const mismatchTime = Math.min(level.mismatchTime, previous.mismatchTime - LEVEL_MISMATCH_STEP);
+            levels.push({ layout, mismatchTime, similar: level.similar });
+        }
+    });
+
+    return levels.map((level, index) => ({ ...level, number: index + 1 }));
+}
+
+class LevelLadder {
+    constructor(game) {
+        this.game = game;
+        this.label = document.getElementById('missionLevel');
+        this.celebrateTime = 1500; // ms between the last pair and the next board
+        this.reset();
+
+        game.state.onTransition(({ to }) => {
+            if (to === 'idle') {
+                this.reset();
+            }
+        });
+        game.on('locale', () => this.updateLabel());
+    }
+
+    // Back to level 1; the levels follow the current card set (the teacher editor may switch it)
+    reset() {
+        const { config } = this.game;
+        this.levels = resolveLevels(config.board, config.powerUps.length, this.game.cardSet.pairs.length);
+        this.apply(0);
+    }
+
+    current() {
+        return this.levels[this.index];
+    }
+
+    hasNext() {
+        return this.index < this.levels.length - 1;
+    }
+
+    apply(index) {
+        const { game } = this;
+        const level = this.levels[index];
+        this.index = index;
+        game.layout = level.layout;
+        game.totalPairs = level.layout.pairs;
+        game.mismatchTime = level.mismatchTime;
+        this.updateLabel();
+    }
+
+    // Spread over the whole set, or (similar) random look-alike groups one after another;
+    // pairs outside the groups only fill up what the groups can't
+    pickPairs(cardSet, count) {
+        const { pairs, similar } = cardSet;
+        if (!this.current().similar || similar.length === 0) {
+            return Array.from({ length: count }, (value, i) => pairs[Math.floor(i * pairs.length / count)]);
+        }
+
+        const { game } = this;
+        const byId = new Map(pairs.map(pair => [pair.id, pair]));
+        const grouped = game.shuffleArray(similar).flatMap(group => game.shuffleArray(group));
+        const ids = new Set([...grouped, ...game.shuffleArray([...byId.keys()])]);
+        return [...ids].slice(0, count).map(id => byId.get(id));
+    }
+
+    // Called with the last pair of a level found; the timer keeps running
+    async advance() {
+        const { game } = this;
+        const round = game.round;
+        const next = this.levels[this.index + 1];
+
+        game.emitEva('processing', t('level.eva', { level: next.number }));
+        game.updateGameStatus(tBilingual('level.done', { level: this.current().number, next: next.number }));
+        game.sound.play('fanfare');
+        game.mascot.show('excited');
+
+        await game.sleep(this.celebrateTime);
+        if (round !== game.round || !game.state.is('resolving')) return;
+
+        this.apply(this.index + 1);
+        game.matchedPairs = 0;
+        game.currentPosition = { row: 0, col: 0 };
+        game.initializeGame();
+        game.emit('level', { level: next.number });
+        game.updateGameStatus(tBilingual('level.start', { level: next.number, rows: next.layout.rows, cols: next.layout.cols, count: next.layout.pairs }));
+    }
+
+    // "Level 2 von 4 · 4×5" in the mission box (hidden without a second level)
+    updateLabel() {
+        const level = this.current();
+        this.label.hidden = this.levels.length < 2;
+        this.label.textContent = tBilingual('level.label', {
+            level: level.number, count: this.levels.length, rows: level.layout.rows, cols: level.layout.cols
+        });
+    }
+}
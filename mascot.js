@@ -0,0 +1,144 @@
+// Byte's moods. Base moods (no duration) last until the game changes them, reactions return to
+// the base mood after their duration. A mood is shown for at least minDuration ms unless one with
+// a higher priority comes along.
+const BYTE_MOODS = {
+    normal: { sprite: 'Byte_normal.png', priority: 0, minDuration: 0 },
+    sleepy: { sprite: 'Byte_normal.png', priority: 0, minDuration: 0 },
+    thinking: { sprite: 'Byte_Thinking.png', priority: 1, minDuration: 600 },
+    sad: { sprite: 'Byte_sad.png', priority: 2, minDuration: 1200, duration: 2500 },
+    happy: { sprite: 'Byte_Happy.png', priority: 3, minDuration: 1000, duration: 2000 },
+    excited: { sprite: 'Byte_Happy.png', priority: 4, minDuration: 2000, duration: 4000 }
+};
+
+class ByteMascot {
+    constructor(game) {
+        this.game = game;
+        this.companion = document.getElementById('byteCompanion');
+        this.character = document.getElementById('byteCharacter');
+        this.sleepAfter = 30000; // ms without any input until Byte dozes off
+        this.sadAfter = 3; // Mismatches in a row that make Byte sad
+        this.excitedAfter = 3; // Matches in a row that make Byte excited
+
+        this.base = 'normal';
+        this.reaction = null; // { mood, lockedUntil }
+        this.displayed = null;
+        this.lockedUntil = 0;
+        this.reset();
+        this.apply('normal');
+        this.scheduleSleep();
+
+        game.state.onTransition(({ from, to }) => {
+            if (to === 'idle') {
+                this.reset();
+                this.setBase('normal');
+            } else if (to === 'resolving') {
+                this.setBase('thinking');
+            } else if (from === 'resolving') {
+                this.setBase('normal');
+            }
+            if (to === 'won') {
+                this.show('excited');
+            }
+            this.scheduleSleep();
+        });
+
+        game.on('match', () => {
+            this.matchStreak++;
+            this.mismatchStreak = 0;
+            this.show(this.matchStreak >= this.excitedAfter ? 'excited' : 'happy');
+        });
+        game.on('mismatch', () => {
+            this.mismatchStreak++;
+            this.matchStreak = 0;
+            if (this.mismatchStreak >= this.sadAfter) {
+                this.show('sad');
+            }
+        });
+
+        ['select', 'flip'].forEach(event => game.on(event, () => this.wakeUp()));
+        ['keydown', 'pointerdown', 'pointermove'].forEach(event => {
+            document.addEventListener(event, () => this.wakeUp());
+        });
+    }
+
+    reset() {
+        this.matchStreak = 0;
+        this.mismatchStreak = 0;
+        clearTimeout(this.reactionTimer);
+        this.reaction = null;
+    }
+
+    // Base moods replace the base, reactions are played on top of it
+    show(mood) {
+        if (BYTE_MOODS[mood].duration) {
+            this.react(mood);
+        } else {
+            this.setBase(mood);
+        }
+    }
+
+    setBase(mood) {
+        this.base = mood;
+        this.update();
+    }
+
+    react(mood) {
+        const now = Date.now();
+        const active = this.reaction;
+        if (active && now < active.lockedUntil && BYTE_MOODS[mood].priority < BYTE_MOODS[active.mood].priority) {
+            return;
+        }
+
+        this.reaction = { mood, lockedUntil: now + BYTE_MOODS[mood].minDuration };
+        clearTimeout(this.reactionTimer);
+        this.reactionTimer = setTimeout(() => {
+            this.reaction = null;
+            this.update();
+        }, BYTE_MOODS[mood].duration);
+        this.update();
+    }
+
+    // Shows the reaction or the base mood - a lower mood waits until the current one had its time
+    update() {
+        const mood = this.reaction ? this.reaction.mood : this.base;
+        if (mood === this.displayed) return;
+
+        const wait = this.lockedUntil - Date.now();
+        clearTimeout(this.updateTimer);
+        if (wait > 0 && BYTE_MOODS[mood].priority < BYTE_MOODS[this.displayed].priority) {
+            this.updateTimer = setTimeout(() => this.update(), wait);
+            return;
+        }
+
+        this.apply(mood);
+    }
+
+    apply(mood) {
+        this.companion.classList.remove(...Object.keys(BYTE_MOODS));
+        if (mood !== 'normal') {
+            this.companion.classList.add(mood);
+        }
+        this.character.src = `Byte_mascot/${BYTE_MOODS[mood].sprite}`;
+        this.displayed = mood;
+        this.lockedUntil = Date.now() + BYTE_MOODS[mood].minDuration;
+    }
+
+    wakeUp() {
+        if (this.base === 'sleepy') {
+            this.setBase('normal');
+        }
+        this.scheduleSleep();
+    }
+
+    // Byte dozes off while nobody plays (waiting for the first click or stuck mid-round)
+    scheduleSleep() {
+        clearTimeout(this.sleepTimer);
+        if (!this.game.state.is('idle', 'playing')) return;
+
+        this.sleepTimer = setTimeout(() => {
+            if (this.game.state.is('idle', 'playing') && this.base === 'normal') {
+                this.setBase('sleepy');
+            }
+        }, this.sleepAfter);
+    }
+}
@@ -0,0 +1,556 @@
+// Message catalog for everything students see or hear. Placeholders in {braces}; an object with
+// one/other picks the plural form for {count}, an array holds variants Byte chooses from.
+// Teacher tools (config errors, card-set editor, mouse analytics) stay German.
+const MESSAGES = {
+    de: {
+        'page.title': 'EVA-Prinzip: Memory-Spiel',
+        'language.label': 'Sprache',
+
+        'mission.title': 'Mission: Finde alle Paare!',
+        'mission.titleSound': 'Ausgabe: Lautsprecher - finde die Paare, die gleich klingen!',
+        'mission.keyboard': 'Nutze Pfeiltasten zur Navigation und klicke den Button zum Aufdecken',
+        'mission.keyboardAccessible': 'Nutze Pfeiltasten zur Navigation und drücke Enter oder klicke den Button zum Aufdecken',
+        'mission.mouseClick': 'Zeige mit der Maus auf eine Karte und klicke sie zum Aufdecken',
+        'mission.mouseDoubleClick': 'Zeige mit der Maus auf eine Karte und doppelklicke sie zum Aufdecken',
+        'mission.drag': 'Ziehe jede Karte mit gedrückter Maustaste auf ihren Partner',
+        'mission.titleSequence': 'Mission: Merke dir Bytes Folge!',
+        'mission.sequence': 'Byte zeigt Felder nacheinander - gehe mit den Pfeiltasten hin und klicke bei jedem Feld den Button',
+        'mission.sequenceMouse': 'Byte zeigt Felder nacheinander - klicke sie in derselben Reihenfolge an',
+
+        'status.keyboard': 'Nutze die Pfeiltasten zur Navigation',
+        'status.keyboardAccessible': 'Nutze die Pfeiltasten zur Navigation und Enter zum Aufdecken',
+        'status.mouseClick': 'Zeige mit der Maus auf eine Karte und klicke sie',
+        'status.mouseDoubleClick': 'Zeige mit der Maus auf eine Karte und doppelklicke sie',
+        'status.drag': 'Ziehe eine Karte auf die passende Karte',
+        'status.sequence': 'Klicke den Button - dann zeigt Byte die erste Folge',
+        'status.sequenceMouse': 'Klicke ein Feld - dann zeigt Byte die erste Folge',
+        'status.mouseMode': '🖱️ Maus-Modus aktiv',
+        'status.keyboardMode': '⌨️ Tastatur + Maus aktiv',
+        'status.pairFound': {
+            one: 'Paar gefunden! ({count} Paar von {total})',
+            other: 'Paar gefunden! ({count} Paare von {total})'
+        },
+        'status.noPair': 'Kein Paar - versuche es erneut!',
+        'status.wrongTarget': 'Falsches Ziel! (Fehler: {mistakes})',
+        'status.won': '🎉 Gewonnen! Alle Paare gefunden!',
+        'status.soundOff': '🔇 Der Ton ist aus - schalte den Lautsprecher ein!',
+
+        'controls.confirm': 'Karte aufdecken',
+        'controls.confirmSequence': 'Feld wählen',
+        'controls.readAloudOn': '🔊 Vorlesen an',
+        'controls.readAloudOff': '🔇 Vorlesen aus',
+        'controls.mute': 'Ton aus',
+        'controls.volume': 'Lautstärke',
+        'status.soundTheme': '🎵 Klänge: {theme}',
+        'sound.classic': 'Klassisch',
+        'sound.soft': 'Sanft',
+        'sound.arcade': 'Spielhalle',
+        'timer.label': 'Verbleibende Zeit:',
+
+        'modal.title': 'Pause - {duration}',
+        'modal.timerText': 'bis zum Stationswechsel',
+        'modal.nextGroupButton': 'Nächste Gruppe starten',
+        'modal.restartButton': 'Neu starten',
+        'station.change': 'Wechsle die Station!',
+        'station.nextGroup': 'Die nächste Gruppe startet mit dem Button unten',
+        'station.nextGroupOf': 'Gruppe {group} von {total} startet mit dem Button unten',
+        'station.allDone': 'Alle Gruppen waren hier!',
+        'station.finished': 'Die Stationsarbeit ist beendet',
+
+        'duration.seconds': { one: '{count} Sekunde', other: '{count} Sekunden' },
+        'duration.minutes': { one: '{count} Minute', other: '{count} Minuten' },
+        'duration.clock': '{time} Minuten',
+
+        'phase.intro.title': 'Gleich geht\'s los!',
+        'phase.intro.text': '3, 2, 1 … los!',
+        'phase.work.text': 'Los!',
+        'phase.warning.title': 'Gleich vorbei:',
+        'phase.warning.text': 'Nur noch 30 Sekunden!',
+        'phase.reflection.title': 'Reflexion',
+        'phase.reflection.text': 'Was war heute Eingabe, Verarbeitung und Ausgabe?',
+
+        'card.image': 'Bild',
+        'card.position': 'Karte {index} von {total}',
+        'card.blank': '{position}, leeres Feld',
+        'card.used': '{position}, benutzt: {face}',
+        'card.matched': '{position}, gefunden: {face}',
+        'card.flipped': '{position}, aufgedeckt: {face}',
+        'card.hidden': '{position}, verdeckt',
+        'card.sound': '🔊 Klang',
+        'card.cell': '{position}, {face}',
+        'board.label': 'Memory-Spielfeld',
+        'announce.flip': 'Karte {index}: {face}',
+        'announce.timeout': 'Die Zeit ist abgelaufen.',
+        'announce.time': 'Noch {time} Zeit.',
+
+        'level.label': 'Level {level} von {count} · {rows}×{cols}',
+        'level.done': '🎉 Level {level} geschafft! Gleich kommt Level {next}',
+        'level.start': 'Level {level}: {count} Paare auf {rows}×{cols} Feldern',
+        'level.eva': 'Alle Paare gefunden - neues Spielfeld für Level {level}',
+
+        'sequence.cell': 'Feld Zeile {row}, Spalte {col}',
+        'sequence.watch': {
+            one: 'Schau genau hin: Byte zeigt {count} Feld',
+            other: 'Schau genau hin: Byte zeigt {count} Felder'
+        },
+        'sequence.yourTurn': 'Jetzt du: wiederhole die Folge!',
+        'sequence.progress': 'Richtig! Feld {step} von {count}',
+        'sequence.repeated': {
+            one: 'Geschafft! Folge mit {count} Feld wiederholt',
+            other: 'Geschafft! Folge mit {count} Feldern wiederholt'
+        },
+        'sequence.wrong': 'Falsches Feld! Byte beginnt eine neue Folge. (Längste Folge: {best})',
+        'sequence.timeout': 'Die Zeit ist um! Längste Folge: {best}',
+        'sequence.lights': '{cell} leuchtet',
+        'sequence.compare': 'Vergleiche mit Feld {step} der Folge',
+        'sequence.bonus': '🎁 Bonus-Runde: Byte zeigt dir Folgen, bis die Zeit um ist!',
+
+        'eva.title': 'EVA-Prinzip',
+        'eva.input': 'Eingabe',
+        'eva.processing': 'Verarbeitung',
+        'eva.output': 'Ausgabe',
+        'eva.confirmClick': 'Maus-Klick auf „{button}“',
+        'eva.arrowKey': 'Pfeiltaste {arrow}',
+        'eva.enterKey': 'Eingabetaste',
+        'eva.spaceKey': 'Leertaste',
+        'eva.edge': 'Rand erreicht - keine Bewegung',
+        'eva.position': 'Neue Position: Zeile {row}, Spalte {col}',
+        'eva.frameMoves': 'Rahmen wandert',
+        'eva.mousePoints': 'Maus zeigt auf Karte {card}',
+        'eva.mouseClick': 'Maus-Klick auf Karte {card}',
+        'eva.mouseDoubleClick': 'Maus-Doppelklick auf Karte {card}',
+        'eva.singleClick': 'Einfacher Klick - zum Aufdecken doppelklicken',
+        'eva.cannotFlip': 'Karte kann nicht aufgedeckt werden',
+        'eva.flip': 'Karte {card} aufdecken',
+        'eva.cardShows': 'Karte zeigt {face}',
+        'eva.compare': 'Vergleiche {first} mit {second}',
+        'eva.cardsGreen': 'Karten grün',
+        'eva.cardsRed': 'Karten rot',
+        'eva.tone': 'Ton {frequency} Hz',
+        'eva.melody': 'Melodie aus {count} Tönen',
+        'eva.dragStart': 'Maus zieht Karte {card}',
+        'eva.dropMissed': 'Maus lässt Karte neben dem Ziel los',
+        'eva.dropBack': 'Kein Ziel - Karte springt zurück',
+        'eva.drop': 'Maus lässt Karte {card} auf Karte {target} los',
+
+        'powerUp.joker': 'Joker',
+        'powerUp.peek': 'Spicken',
+        'powerUp.shuffle': 'Mischen',
+        'powerUp.time': 'Zeit',
+        'powerUp.used': 'Sonderkarte {name}',
+        'powerUp.twoJokers': 'Zwei Joker - sie heben sich auf',
+        'powerUp.jokerSearch': 'Joker sucht den Partner von {face}',
+        'powerUp.partnerShows': 'Partner zeigt {face}',
+        'powerUp.peekStatus': {
+            one: '👀 Spicken: {count} Sekunde alle Karten ansehen!',
+            other: '👀 Spicken: {count} Sekunden alle Karten ansehen!'
+        },
+        'powerUp.peekShown': 'Alle Karten aufgedeckt',
+        'powerUp.peekHidden': 'Karten wieder verdeckt',
+        'powerUp.shuffled': '🔀 Die Karten wurden neu gemischt!',
+        'powerUp.shuffledCount': '{count} Karten neu gemischt',
+        'powerUp.timeStatus': '⏱️ +{seconds} Sekunden Zeit!',
+        'powerUp.timeAdded': 'Timer +{seconds} s',
+
+        'score.title': '🎉 Alle Paare gefunden!',
+        'score.titleTimeout': '⏰ Die Zeit ist um!',
+        'score.pairs': 'Paare ({count} × {points})',
+        'score.streak': 'Serien-Bonus (längste Serie: {count})',
+        'score.seenMistakes': 'Fehler bei bekannten Karten ({count}×)',
+        'score.timeLeft': 'Restzeit ({seconds} s × {points})',
+        'score.attempts': { one: '{count} Versuch', other: '{count} Versuche' },
+        'score.total': { one: '{points} Punkt', other: '{points} Punkte' },
+        'score.streakEva': 'Serie {count} - +{points} Punkte',
+        'score.result': '{points} Punkte, {stars} Sterne',
+
+        'players.you': 'Du',
+        'players.turn': '🎮 {name} ist dran',
+        'players.yourTurn': '🎮 Du bist dran',
+        'players.roles': '⌨️ {steer} steuert, 🖱️ {click} klickt',
+        'players.switch': 'Spielerwechsel: {name} ist dran',
+        'players.switchToYou': 'Spielerwechsel: Du bist dran',
+        'players.switchStatus': 'Kein Paar - Spielerwechsel!',
+        'players.ranking': { one: '{place} {name} – {count} Paar', other: '{place} {name} – {count} Paare' },
+        'opponent.remembers': 'Byte erinnert sich an ein Paar',
+        'opponent.picks': 'Byte wählt Karte {card}',
+
+        'byte.says': 'Byte sagt: {text}',
+        'byte.start': ['Los geht\'s! Finde alle Paare.', 'Ich drücke dir die Daumen!'],
+        'byte.sequenceStart': ['Schau genau hin und hör gut zu!', 'Ich zeige dir eine Folge - merk sie dir!'],
+        'byte.levelUp': ['Stark! Jetzt wird es schwieriger.', 'Nächstes Level - ihr schafft das!'],
+        'byte.eva': [
+            'Eingabe: {input}. Der Computer verarbeitet das - Ausgabe: {output}.',
+            'Du gibst etwas ein ({input}), und der Computer antwortet mit einer Ausgabe: {output}.'
+        ],
+        'byte.mismatch': ['Nicht schlimm! Merk dir, wo die Karten liegen.', 'Fast! Jetzt weißt du schon mehr.', 'Weiter so - jeder Versuch hilft beim Merken.'],
+        'byte.time': ['Noch {time}! Du schaffst das.', 'Achtung, nur noch {time}!'],
+        'byte.hint': ['Tipp: Ein passendes Paar habt ihr schon gesehen - eine Karte liegt in Zeile {row}, Spalte {col}.'],
+        'byte.won': ['Super gemacht! Alle Paare gefunden!', 'Wow, ihr seid echte Memory-Profis!']
+    },
+
+    en: {
+        'page.title': 'IPO model: Memory game',
+        'language.label': 'Language',
+
+        'mission.title': 'Mission: Find all pairs!',
+        'mission.titleSound': 'Output: speaker - find the pairs that sound the same!',
+        'mission.keyboard': 'Use the arrow keys to move and click the button to turn a card over',
+        'mission.keyboardAccessible': 'Use the arrow keys to move and press Enter or click the button to turn a card over',
+        'mission.mouseClick': 'Point at a card with the mouse and click it to turn it over',
+        'mission.mouseDoubleClick': 'Point at a card with the mouse and double-click it to turn it over',
+        'mission.drag': 'Hold the mouse button and drag every card onto its partner',
+        'mission.titleSequence': 'Mission: Remember Byte\'s sequence!',
+        'mission.sequence': 'Byte shows cells one after another - move there with the arrow keys and click the button on each cell',
+        'mission.sequenceMouse': 'Byte shows cells one after another - click them in the same order',
+
+        'status.keyboard': 'Use the arrow keys to move',
+        'status.keyboardAccessible': 'Use the arrow keys to move and Enter to turn a card over',
+        'status.mouseClick': 'Point at a card with the mouse and click it',
+        'status.mouseDoubleClick': 'Point at a card with the mouse and double-click it',
+        'status.drag': 'Drag a card onto the matching card',
+        'status.sequence': 'Click the button - then Byte shows the first sequence',
+        'status.sequenceMouse': 'Click a cell - then Byte shows the first sequence',
+        'status.mouseMode': '🖱️ Mouse mode on',
+        'status.keyboardMode': '⌨️ Keyboard + mouse on',
+        'status.pairFound': {
+            one: 'Pair found! ({count} pair of {total})',
+            other: 'Pair found! ({count} pairs of {total})'
+        },
+        'status.noPair': 'No pair - try again!',
+        'status.wrongTarget': 'Wrong target! (Mistakes: {mistakes})',
+        'status.won': '🎉 You won! All pairs found!',
+        'status.soundOff': '🔇 The sound is off - turn the speaker on!',
+
+        'controls.confirm': 'Turn card over',
+        'controls.confirmSequence': 'Choose cell',
+        'controls.readAloudOn': '🔊 Read aloud on',
+        'controls.readAloudOff': '🔇 Read aloud off',
+        'controls.mute': 'Sound off',
+        'controls.volume': 'Volume',
+        'status.soundTheme': '🎵 Sounds: {theme}',
+        'sound.classic': 'Classic',
+        'sound.soft': 'Soft',
+        'sound.arcade': 'Arcade',
+        'timer.label': 'Time left:',
+
+        'modal.title': 'Break - {duration}',
+        'modal.timerText': 'until the station change',
+        'modal.nextGroupButton': 'Start next group',
+        'modal.restartButton': 'Start again',
+        'station.change': 'Change stations!',
+        'station.nextGroup': 'The next group starts with the button below',
+        'station.nextGroupOf': 'Group {group} of {total} starts with the button below',
+        'station.allDone': 'All groups have been here!',
+        'station.finished': 'The station work is finished',
+
+        'duration.seconds': { one: '{count} second', other: '{count} seconds' },
+        'duration.minutes': { one: '{count} minute', other: '{count} minutes' },
+        'duration.clock': '{time} minutes',
+
+        'phase.intro.title': 'Get ready!',
+        'phase.intro.text': '3, 2, 1 … go!',
+        'phase.work.text': 'Go!',
+        'phase.warning.title': 'Almost over:',
+        'phase.warning.text': 'Only 30 seconds left!',
+        'phase.reflection.title': 'Reflection',
+        'phase.reflection.text': 'What was input, processing and output today?',
+
+        'card.image': 'Picture',
+        'card.position': 'Card {index} of {total}',
+        'card.blank': '{position}, empty space',
+        'card.used': '{position}, used: {face}',
+        'card.matched': '{position}, found: {face}',
+        'card.flipped': '{position}, face up: {face}',
+        'card.hidden': '{position}, face down',
+        'card.sound': '🔊 sound',
+        'card.cell': '{position}, {face}',
+        'board.label': 'Memory board',
+        'announce.flip': 'Card {index}: {face}',
+        'announce.timeout': 'Time is up.',
+        'announce.time': '{time} left.',
+
+        'level.label': 'Level {level} of {count} · {rows}×{cols}',
+        'level.done': '🎉 Level {level} done! Level {next} is coming',
+        'level.start': 'Level {level}: {count} pairs on {rows}×{cols} cells',
+        'level.eva': 'All pairs found - new board for level {level}',
+
+        'sequence.cell': 'Cell row {row}, column {col}',
+        'sequence.watch': {
+            one: 'Watch closely: Byte shows {count} cell',
+            other: 'Watch closely: Byte shows {count} cells'
+        },
+        'sequence.yourTurn': 'Your turn: repeat the sequence!',
+        'sequence.progress': 'Correct! Cell {step} of {count}',
+        'sequence.repeated': {
+            one: 'Done! Sequence of {count} cell repeated',
+            other: 'Done! Sequence of {count} cells repeated'
+        },
+        'sequence.wrong': 'Wrong cell! Byte starts a new sequence. (Longest sequence: {best})',
+        'sequence.timeout': 'Time is up! Longest sequence: {best}',
+        'sequence.lights': '{cell} lights up',
+        'sequence.compare': 'Compare with cell {step} of the sequence',
+        'sequence.bonus': '🎁 Bonus round: Byte shows you sequences until the time is up!',
+
+        'eva.title': 'IPO model',
+        'eva.input': 'Input',
+        'eva.processing': 'Processing',
+        'eva.output': 'Output',
+        'eva.confirmClick': 'Mouse click on “{button}”',
+        'eva.arrowKey': 'Arrow key {arrow}',
+        'eva.enterKey': 'Enter key',
+        'eva.spaceKey': 'Space bar',
+        'eva.edge': 'Edge reached - no movement',
+        'eva.position': 'New position: row {row}, column {col}',
+        'eva.frameMoves': 'Frame moves',
+        'eva.mousePoints': 'Mouse points at card {card}',
+        'eva.mouseClick': 'Mouse click on card {card}',
+        'eva.mouseDoubleClick': 'Mouse double-click on card {card}',
+        'eva.singleClick': 'Single click - double-click to turn the card over',
+        'eva.cannotFlip': 'This card cannot be turned over',
+        'eva.flip': 'Turn card {card} over',
+        'eva.cardShows': 'Card shows {face}',
+        'eva.compare': 'Compare {first} with {second}',
+        'eva.cardsGreen': 'Cards green',
+        'eva.cardsRed': 'Cards red',
+        'eva.tone': 'Tone {frequency} Hz',
+        'eva.melody': 'Melody of {count} tones',
+        'eva.dragStart': 'Mouse drags card {card}',
+        'eva.dropMissed': 'Mouse drops the card next to the target',
+        'eva.dropBack': 'No target - card jumps back',
+        'eva.drop': 'Mouse drops card {card} on card {target}',
+
+        'powerUp.joker': 'Joker',
+        'powerUp.peek': 'Peek',
+        'powerUp.shuffle': 'Shuffle',
+        'powerUp.time': 'Time',
+        'powerUp.used': 'Special card {name}',
+        'powerUp.twoJokers': 'Two jokers - they cancel each other out',
+        'powerUp.jokerSearch': 'Joker looks for the partner of {face}',
+        'powerUp.partnerShows': 'Partner shows {face}',
+        'powerUp.peekStatus': {
+            one: '👀 Peek: look at all cards for {count} second!',
+            other: '👀 Peek: look at all cards for {count} seconds!'
+        },
+        'powerUp.peekShown': 'All cards face up',
+        'powerUp.peekHidden': 'Cards face down again',
+        'powerUp.shuffled': '🔀 The cards have been shuffled!',
+        'powerUp.shuffledCount': '{count} cards shuffled',
+        'powerUp.timeStatus': '⏱️ +{seconds} seconds of time!',
+        'powerUp.timeAdded': 'Timer +{seconds} s',
+
+        'score.title': '🎉 All pairs found!',
+        'score.titleTimeout': '⏰ Time is up!',
+        'score.pairs': 'Pairs ({count} × {points})',
+        'score.streak': 'Streak bonus (longest streak: {count})',
+        'score.seenMistakes': 'Mistakes on known cards ({count}×)',
+        'score.timeLeft': 'Time left ({seconds} s × {points})',
+        'score.attempts': { one: '{count} attempt', other: '{count} attempts' },
+        'score.total': { one: '{points} point', other: '{points} points' },
+        'score.streakEva': 'Streak {count} - +{points} points',
+        'score.result': '{points} points, {stars} stars',
+
+        'players.you': 'You',
+        'players.turn': '🎮 {name}\'s turn',
+        'players.yourTurn': '🎮 Your turn',
+        'players.roles': '⌨️ {steer} steers, 🖱️ {click} clicks',
+        'players.switch': 'Next player: {name}\'s turn',
+        'players.switchToYou': 'Next player: your turn',
+        'players.switchStatus': 'No pair - next player!',
+        'players.ranking': { one: '{place} {name} – {count} pair', other: '{place} {name} – {count} pairs' },
+        'opponent.remembers': 'Byte remembers a pair',
+        'opponent.picks': 'Byte picks card {card}',
+
+        'byte.says': 'Byte says: {text}',
+        'byte.start': ['Let\'s go! Find all pairs.', 'Fingers crossed!'],
+        'byte.sequenceStart': ['Watch closely and listen carefully!', 'I\'ll show you a sequence - remember it!'],
+        'byte.levelUp': ['Great! Now it gets harder.', 'Next level - you can do it!'],
+        'byte.eva': [
+            'Input: {input}. The computer processes it - output: {output}.',
+            'You enter something ({input}), and the computer answers with an output: {output}.'
+        ],
+        'byte.mismatch': ['Never mind! Remember where the cards are.', 'Close! Now you know more.', 'Keep going - every try helps you remember.'],
+        'byte.time': ['{time} left! You can do it.', 'Watch out, only {time} left!'],
+        'byte.hint': ['Tip: You have already seen a matching pair - one card is in row {row}, column {col}.'],
+        'byte.won': ['Well done! All pairs found!', 'Wow, you are real memory pros!']
+    },
+
+    tr: {
+        'page.title': 'GİÇ ilkesi: Hafıza oyunu',
+        'language.label': 'Dil',
+
+        'mission.title': 'Görev: Tüm çiftleri bul!',
+        'mission.titleSound': 'Çıktı: hoparlör - aynı sesi çıkaran çiftleri bul!',
+        'mission.keyboard': 'Ok tuşlarıyla gez ve kartı açmak için düğmeye tıkla',
+        'mission.keyboardAccessible': 'Ok tuşlarıyla gez ve kartı açmak için Enter\'a bas ya da düğmeye tıkla',
+        'mission.mouseClick': 'Fareyle bir kartın üzerine gel ve açmak için tıkla',
+        'mission.mouseDoubleClick': 'Fareyle bir kartın üzerine gel ve açmak için çift tıkla',
+        'mission.drag': 'Fare tuşunu basılı tutarak her kartı eşinin üzerine sürükle',
+        'mission.titleSequence': 'Görev: Byte\'ın dizisini aklında tut!',
+        'mission.sequence': 'Byte alanları sırayla gösterir - ok tuşlarıyla oraya git ve her alanda düğmeye tıkla',
+        'mission.sequenceMouse': 'Byte alanları sırayla gösterir - onlara aynı sırayla tıkla',
+
+        'status.keyboard': 'Ok tuşlarıyla gez',
+        'status.keyboardAccessible': 'Ok tuşlarıyla gez, kartı Enter ile aç',
+        'status.mouseClick': 'Fareyle bir kartın üzerine gel ve tıkla',
+        'status.mouseDoubleClick': 'Fareyle bir kartın üzerine gel ve çift tıkla',
+        'status.drag': 'Bir kartı eşinin üzerine sürükle',
+        'status.sequence': 'Düğmeye tıkla - sonra Byte ilk diziyi gösterir',
+        'status.sequenceMouse': 'Bir alana tıkla - sonra Byte ilk diziyi gösterir',
+        'status.mouseMode': '🖱️ Fare modu açık',
+        'status.keyboardMode': '⌨️ Klavye + fare açık',
+        'status.pairFound': 'Çift bulundu! ({total} çiftten {count} tanesi)',
+        'status.noPair': 'Çift değil - tekrar dene!',
+        'status.wrongTarget': 'Yanlış hedef! (Hata: {mistakes})',
+        'status.won': '🎉 Kazandın! Tüm çiftler bulundu!',
+        'status.soundOff': '🔇 Ses kapalı - hoparlörü aç!',
+
+        'controls.confirm': 'Kartı aç',
+        'controls.confirmSequence': 'Alanı seç',
+        'controls.readAloudOn': '🔊 Sesli okuma açık',
+        'controls.readAloudOff': '🔇 Sesli okuma kapalı',
+        'controls.mute': 'Sesi kapat',
+        'controls.volume': 'Ses düzeyi',
+        'status.soundTheme': '🎵 Sesler: {theme}',
+        'sound.classic': 'Klasik',
+        'sound.soft': 'Yumuşak',
+        'sound.arcade': 'Atari',
+        'timer.label': 'Kalan süre:',
+
+        'modal.title': 'Mola - {duration}',
+        'modal.timerText': 'istasyon değişimine kadar',
+        'modal.nextGroupButton': 'Sonraki grubu başlat',
+        'modal.restartButton': 'Yeniden başlat',
+        'station.change': 'İstasyonu değiştir!',
+        'station.nextGroup': 'Sonraki grup aşağıdaki düğmeyle başlar',
+        'station.nextGroupOf': '{total} gruptan {group}. grup aşağıdaki düğmeyle başlar',
+        'station.allDone': 'Tüm gruplar buradaydı!',
+        'station.finished': 'İstasyon çalışması bitti',
+
+        'duration.seconds': '{count} saniye',
+        'duration.minutes': '{count} dakika',
+        'duration.clock': '{time} dakika',
+
+        'phase.intro.title': 'Birazdan başlıyor!',
+        'phase.intro.text': '3, 2, 1 … başla!',
+        'phase.work.text': 'Başla!',
+        'phase.warning.title': 'Neredeyse bitti:',
+        'phase.warning.text': 'Sadece 30 saniye kaldı!',
+        'phase.reflection.title': 'Değerlendirme',
+        'phase.reflection.text': 'Bugün girdi, işlem ve çıktı neydi?',
+
+        'card.image': 'Resim',
+        'card.position': 'Kart {index} / {total}',
+        'card.blank': '{position}, boş alan',
+        'card.used': '{position}, kullanıldı: {face}',
+        'card.matched': '{position}, bulundu: {face}',
+        'card.flipped': '{position}, açık: {face}',
+        'card.hidden': '{position}, kapalı',
+        'card.sound': '🔊 ses',
+        'card.cell': '{position}, {face}',
+        'board.label': 'Hafıza oyunu alanı',
+        'announce.flip': 'Kart {index}: {face}',
+        'announce.timeout': 'Süre doldu.',
+        'announce.time': '{time} kaldı.',
+
+        'level.label': 'Seviye {level} / {count} · {rows}×{cols}',
+        'level.done': '🎉 Seviye {level} tamam! Sırada seviye {next} var',
+        'level.start': 'Seviye {level}: {rows}×{cols} alanda {count} çift',
+        'level.eva': 'Tüm çiftler bulundu - seviye {level} için yeni oyun alanı',
+
+        'sequence.cell': 'Alan satır {row}, sütun {col}',
+        'sequence.watch': {
+            one: 'Dikkatle bak: Byte {count} alan gösteriyor',
+            other: 'Dikkatle bak: Byte {count} alan gösteriyor'
+        },
+        'sequence.yourTurn': 'Sıra sende: diziyi tekrarla!',
+        'sequence.progress': 'Doğru! {count} alandan {step}. alan',
+        'sequence.repeated': {
+            one: 'Başardın! {count} alanlık dizi tekrarlandı',
+            other: 'Başardın! {count} alanlık dizi tekrarlandı'
+        },
+        'sequence.wrong': 'Yanlış alan! Byte yeni bir dizi başlatıyor. (En uzun dizi: {best})',
+        'sequence.timeout': 'Süre doldu! En uzun dizi: {best}',
+        'sequence.lights': '{cell} yanıyor',
+        'sequence.compare': 'Dizinin {step}. alanıyla karşılaştır',
+        'sequence.bonus': '🎁 Bonus turu: süre bitene kadar Byte sana diziler gösteriyor!',
+
+        'eva.title': 'GİÇ ilkesi',
+        'eva.input': 'Girdi',
+        'eva.processing': 'İşlem',
+        'eva.output': 'Çıktı',
+        'eva.confirmClick': '„{button}“ düğmesine fare tıklaması',
+        'eva.arrowKey': 'Ok tuşu {arrow}',
+        'eva.enterKey': 'Enter tuşu',
+        'eva.spaceKey': 'Boşluk tuşu',
+        'eva.edge': 'Kenara gelindi - hareket yok',
+        'eva.position': 'Yeni konum: satır {row}, sütun {col}',
+        'eva.frameMoves': 'Çerçeve hareket ediyor',
+        'eva.mousePoints': 'Fare kart {card} üzerinde',
+        'eva.mouseClick': 'Kart {card} üzerine fare tıklaması',
+        'eva.mouseDoubleClick': 'Kart {card} üzerine çift tıklama',
+        'eva.singleClick': 'Tek tıklama - açmak için çift tıkla',
+        'eva.cannotFlip': 'Bu kart açılamaz',
+        'eva.flip': 'Kart {card} açılıyor',
+        'eva.cardShows': 'Kart {face} gösteriyor',
+        'eva.compare': '{first} ile {second} karşılaştırılıyor',
+        'eva.cardsGreen': 'Kartlar yeşil',
+        'eva.cardsRed': 'Kartlar kırmızı',
+        'eva.tone': 'Ses {frequency} Hz',
+        'eva.melody': '{count} sesli melodi',
+        'eva.dragStart': 'Fare kart {card} sürüklüyor',
+        'eva.dropMissed': 'Fare kartı hedefin yanına bırakıyor',
+        'eva.dropBack': 'Hedef yok - kart geri dönüyor',
+        'eva.drop': 'Fare kart {card} kartını kart {target} üzerine bırakıyor',
+
+        'powerUp.joker': 'Joker',
+        'powerUp.peek': 'Gözat',
+        'powerUp.shuffle': 'Karıştır',
+        'powerUp.time': 'Süre',
+        'powerUp.used': 'Özel kart {name}',
+        'powerUp.twoJokers': 'İki joker - birbirini götürür',
+        'powerUp.jokerSearch': 'Joker {face} kartının eşini arıyor',
+        'powerUp.partnerShows': 'Eş kart {face} gösteriyor',
+        'powerUp.peekStatus': '👀 Gözat: {count} saniye boyunca tüm kartlara bak!',
+        'powerUp.peekShown': 'Tüm kartlar açık',
+        'powerUp.peekHidden': 'Kartlar yeniden kapalı',
+        'powerUp.shuffled': '🔀 Kartlar yeniden karıştırıldı!',
+        'powerUp.shuffledCount': '{count} kart karıştırıldı',
+        'powerUp.timeStatus': '⏱️ +{seconds} saniye ek süre!',
+        'powerUp.timeAdded': 'Zamanlayıcı +{seconds} sn',
+
+        'score.title': '🎉 Tüm çiftler bulundu!',
+        'score.titleTimeout': '⏰ Süre doldu!',
+        'score.pairs': 'Çiftler ({count} × {points})',
+        'score.streak': 'Seri bonusu (en uzun seri: {count})',
+        'score.seenMistakes': 'Bilinen kartlarda hata ({count}×)',
+        'score.timeLeft': 'Kalan süre ({seconds} sn × {points})',
+        'score.attempts': '{count} deneme',
+        'score.total': '{points} puan',
+        'score.streakEva': 'Seri {count} - +{points} puan',
+        'score.result': '{points} puan, {stars} yıldız',
+
+        'players.you': 'Sen',
+        'players.turn': '🎮 Sıra {name} oyuncusunda',
+        'players.yourTurn': '🎮 Sıra sende',
+        'players.roles': '⌨️ {steer} yönetiyor, 🖱️ {click} tıklıyor',
+        'players.switch': 'Oyuncu değişimi: sıra {name} oyuncusunda',
+        'players.switchToYou': 'Oyuncu değişimi: sıra sende',
+        'players.switchStatus': 'Çift değil - oyuncu değişimi!',
+        'players.ranking': '{place} {name} – {count} çift',
+        'opponent.remembers': 'Byte bir çifti hatırlıyor',
+        'opponent.picks': 'Byte kart {card} seçiyor',
+
+        'byte.says': 'Byte diyor ki: {text}',
+        'byte.start': ['Hadi başlayalım! Tüm çiftleri bul.', 'Sana başarılar!'],
+        'byte.sequenceStart': ['Dikkatle bak ve iyi dinle!', 'Sana bir dizi göstereceğim - aklında tut!'],
+        'byte.levelUp': ['Harika! Şimdi daha zor.', 'Sonraki seviye - başarabilirsiniz!'],
+        'byte.eva': [
+            'Girdi: {input}. Bilgisayar bunu işliyor - çıktı: {output}.',
+            'Bir şey giriyorsun ({input}), bilgisayar da bir çıktıyla cevap veriyor: {output}.'
+        ],
+        'byte.mismatch': ['Önemli değil! Kartların yerini aklında tut.', 'Az kaldı! Artık daha çok şey biliyorsun.', 'Devam et - her deneme hatırlamana yardım eder.'],
+        'byte.time': ['{time} kaldı! Başarabilirsin.', 'Dikkat, sadece {time} kaldı!'],
+        'byte.hint': ['İpucu: Eşleşen bir çifti zaten gördünüz - kartlardan biri satır {row}, sütun {col} konumunda.'],
+        'byte.won': ['Harika! Tüm çiftler bulundu!', 'Vay, gerçek hafıza ustalarısınız!']
+    }
+};
@@ -0,0 +1,137 @@
+// Hot-seat multiplayer: 2-4 players share the station and take turns.
+// A match keeps the turn, a mismatch passes it on; with roles one player steers, the next one clicks.
+const PLAYER_COLORS = ['#f5b041', '#5dade2', '#ec7063', '#af7ac5'];
+
+// "players" in the config: ["Anna", "Ben"] or [{ "name": "Anna", "color": "#ff0000" }], ?players=Anna,Ben.
+// With Byte as opponent one human player is enough and one place is taken by Byte.
+function resolvePlayers(players = [], min = 2, max = PLAYER_COLORS.length) {
+    const list = typeof players === 'string'
+        ? players.split(',').map(name => name.trim()).filter(Boolean)
+        : players;
+
+    if (!Array.isArray(list)) {
+        throw new Error('Liste von Namen erwartet, z.B. "Anna,Ben"');
+    }
+    if (list.length === 0) return [];
+    if (list.length < min || list.length > max) {
+        throw new Error(`${min} bis ${max} Spieler erwartet, ${list.length} angegeben`);
+    }
+
+    return list.map((player, index) => {
+        const definition = typeof player === 'string' ? { name: player } : player;
+        if (!definition || typeof definition.name !== 'string' || definition.name.trim() === '') {
+            throw new Error(`Spieler ${index + 1}: Name fehlt`);
+        }
+        return { name: definition.name.trim(), color: definition.color || PLAYER_COLORS[index] };
+    });
+}
+
+class HotSeat {
+    constructor(game, players, roles) {
+        this.game = game;
+        this.players = players.map(player => ({ ...player, pairs: 0 }));
+        this.roles = roles;
+        this.current = 0;
+        this.bar = document.getElementById('playerBar');
+        this.ranking = document.getElementById('scoreRanking');
+
+        game.state.onTransition(({ to }) => {
+            if (to === 'idle') {
+                this.reset();
+            } else if (to === 'won' || to === 'timeout') {
+                this.showRanking(); // Part of the score breakdown
+            }
+        });
+        game.on('match', () => {
+            this.currentPlayer().pairs++;
+            this.renderBar();
+        });
+        game.on('locale', () => this.renderBar());
+
+        this.bar.hidden = false;
+        this.reset();
+    }
+
+    reset() {
+        this.players.forEach(player => {
+            player.pairs = 0;
+        });
+        this.current = 0;
+        this.ranking.hidden = true;
+        this.renderBar();
+        this.game.emit('turn', { player: this.currentPlayer(), index: this.current });
+    }
+
+    currentPlayer() {
+        return this.players[this.current];
+    }
+
+    // With roles the next player in line works the mouse for the current one
+    clickingPlayer() {
+        return this.players[(this.current + 1) % this.players.length];
+    }
+
+    nextTurn() {
+        this.current = (this.current + 1) % this.players.length;
+        const player = this.currentPlayer();
+
+        this.renderBar();
+        this.game.emitEva('processing', player.you ? t('players.switchToYou') : t('players.switch', { name: player.name }));
+        this.game.updateGameStatus(tBilingual('players.switchStatus'));
+        this.game.emit('turn', { player, index: this.current });
+    }
+
+    // The default player against Byte ("Du") follows the language switcher
+    playerName(player) {
+        return player.you ? t('players.you') : player.name;
+    }
+
+    // Every status message also tells whose turn it is (in each line of the bilingual display)
+    decorateStatus(message) {
+        const locales = displayLocales();
+        return message.split('\n').map((line, index) => {
+            const locale = locales[index] || activeLocale;
+            const player = this.currentPlayer();
+            let turn = t('players.turn', { name: player.name }, locale);
+            if (this.roles) {
+                turn = t('players.roles', { steer: player.name, click: this.clickingPlayer().name }, locale);
+            } else if (player.you) {
+                turn = t('players.yourTurn', {}, locale); // "Du ist dran" would be wrong
+            }
+            return `${line} · ${turn}`;
+        }).join('\n');
+    }
+
+    renderBar() {
+        this.bar.innerHTML = '';
+        this.players.forEach((player, index) => {
+            const chip = document.createElement('div');
+            chip.className = 'player-chip';
+            chip.classList.toggle('active', index === this.current);
+            chip.style.setProperty('--player-color', player.color);
+            chip.textContent = `${this.playerName(player)}: ${player.pairs}`;
+            this.bar.appendChild(chip);
+        });
+    }
+
+    // Players with the same number of pairs share a place
+    getRanking() {
+        const sorted = [...this.players].sort((a, b) => b.pairs - a.pairs);
+        return sorted.map(player => ({
+            ...player,
+            place: sorted.findIndex(other => other.pairs === player.pairs) + 1
+        }));
+    }
+
+    showRanking() {
+        const medals = ['🥇', '🥈', '🥉'];
+        this.ranking.innerHTML = '';
+        this.getRanking().forEach(player => {
+            const item = document.createElement('li');
+            item.style.setProperty('--player-color', player.color);
+            item.textContent = t('players.ranking', { place: medals[player.place - 1] || `${player.place}.`, name: this.playerName(player), count: player.pairs });
+            this.ranking.appendChild(item);
+        });
+        this.ranking.hidden = false;
+    }
+}
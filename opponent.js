@@ -0,0 +1,147 @@
+// Byte as computer opponent: takes its turns in the hot-seat rotation, walks the selection frame
+// to each card it flips and remembers revealed cards - forgetting some of them depending on the level.
+const OPPONENT_LEVELS = {
+    easy: { forget: 0.5, stepDelay: 450 }, // Chance per turn to forget a remembered card
+    medium: { forget: 0.25, stepDelay: 350 },
+    hard: { forget: 0.05, stepDelay: 250 } // ms per step of the selection frame
+};
+
+const OPPONENT_PLAYER = { name: 'Byte', color: '#52b788', computer: true };
+
+class ByteOpponent {
+    constructor(game, level) {
+        this.game = game;
+        this.level = OPPONENT_LEVELS[level];
+        this.memory = new Map(); // Grid index -> deck entry of every card Byte still remembers
+        this.playing = false;
+
+        game.state.onTransition(({ to }) => {
+            if (to === 'idle') {
+                this.memory.clear();
+            }
+        });
+        game.on('flip', ({ index }) => this.memory.set(index, game.cards[index]));
+        game.on('match', ({ card1, card2 }) => {
+            this.memory.delete(Number(card1.dataset.index));
+            this.memory.delete(Number(card2.dataset.index));
+        });
+        game.on('shuffle', () => this.memory.clear());
+        game.on('level', () => this.memory.clear());
+        game.on('turn', ({ player }) => {
+            if (player.computer) {
+                this.playTurn();
+            }
+        });
+    }
+
+    async playTurn() {
+        const { game } = this;
+        const round = game.round;
+        if (this.playing) return;
+
+        this.playing = true;
+        this.forget();
+
+        // A match keeps the turn, so Byte goes on until it misses or the round is over
+        while (round === game.round && game.isComputerTurn() && this.hasCardsLeft()) {
+            await this.waitUntilPlaying(round);
+            if (round !== game.round || !game.state.is('playing')) break;
+
+            const [first, known] = this.choosePair();
+            await this.flipCard(first, round);
+            if (round !== game.round || game.flippedCards.length !== 1) continue; // Power-up used or round over
+
+            const partner = known !== undefined ? known : this.recallPartner(first);
+            await this.flipCard(partner !== undefined ? partner : this.pickUnknown([first]), round);
+        }
+
+        this.playing = false;
+        if (round === game.round) {
+            game.mascot.show('normal');
+        }
+    }
+
+    // Let power-ups and the comparison of the last pair finish first
+    async waitUntilPlaying(round) {
+        while (round === this.game.round && this.game.state.is('resolving')) {
+            await this.game.sleep(100);
+        }
+    }
+
+    forget() {
+        [...this.memory.keys()].forEach(index => {
+            if (Math.random() < this.level.forget) {
+                this.memory.delete(index);
+            }
+        });
+    }
+
+    openIndices() {
+        return [...document.querySelectorAll('#memoryGrid .memory-card:not(.matched):not(.blank):not(.flipped)')]
+            .map(card => Number(card.dataset.index));
+    }
+
+    hasCardsLeft() {
+        return this.openIndices().length > 0;
+    }
+
+    // A remembered pair if there is one, otherwise an unknown card and no partner yet
+    choosePair() {
+        const open = this.openIndices().filter(index => this.memory.has(index));
+        for (const index of open) {
+            const partner = this.recallPartner(index);
+            if (partner !== undefined) {
+                this.game.emitEva('processing', t('opponent.remembers'));
+                return [index, partner];
+            }
+        }
+        return [this.pickUnknown([]), undefined];
+    }
+
+    recallPartner(index) {
+        const entry = this.game.cards[index];
+        if (!entry || entry.powerUp) return undefined;
+
+        return this.openIndices().find(other => {
+            const known = other !== index && this.memory.get(other);
+            return known && !known.powerUp && this.game.cardsMatch(entry, known);
+        });
+    }
+
+    // Prefers cards Byte has never seen (or forgot)
+    pickUnknown(exclude) {
+        const open = this.openIndices().filter(index => !exclude.includes(index));
+        const unknown = open.filter(index => !this.memory.has(index));
+        const choices = unknown.length > 0 ? unknown : open;
+        return choices[Math.floor(Math.random() * choices.length)];
+    }
+
+    // Walks the selection frame there one step at a time, then flips the card
+    async flipCard(index, round) {
+        const { game } = this;
+        if (index === undefined) return;
+
+        const target = { row: Math.floor(index / game.layout.cols), col: index % game.layout.cols };
+        game.emitEva('input', t('opponent.picks', { card: index + 1 }));
+        game.mascot.show('thinking');
+
+        while (round === game.round && (game.currentPosition.row !== target.row || game.currentPosition.col !== target.col)) {
+            await game.sleep(this.level.stepDelay);
+            if (round !== game.round) return;
+
+            const rowDelta = Math.sign(target.row - game.currentPosition.row);
+            const colDelta = rowDelta === 0 ? Math.sign(target.col - game.currentPosition.col) : 0;
+            game.moveSelection(rowDelta, colDelta);
+        }
+
+        await game.sleep(this.level.stepDelay);
+        if (round !== game.round || !game.state.is('playing')) return;
+
+        // Hits make every mascot happy; a miss of its own makes Byte sad right away
+        const before = game.mistakes;
+        await game.confirmSelection();
+        if (round === game.round && game.mistakes > before) {
+            game.mascot.show('sad');
+        }
+    }
+}
@@ -0,0 +1,200 @@
+// Power-up cards: shuffled into the deck like pair cards and triggered when flipped.
+// The joker pairs with the other flipped card and reveals that card's partner; the others act at once.
+// Card texts come from the message catalog ('powerUp.peek', ...).
+const POWER_UPS = {
+    joker: {}, // Emoji comes from the card set
+    peek: { emoji: '👀', duration: 2 }, // Seconds all cards are shown
+    shuffle: { emoji: '🔀' },
+    time: { emoji: '⏱️', seconds: 30 } // Added to the working time
+};
+
+// "powerups" in the config: { "peek": 1, "time": { "count": 2, "seconds": 20 } } or ?powerups=peek,time,time.
+// Returns one { type, ...options } entry per card. Jokers filling odd boards come from the layout on top.
+function resolvePowerUps(powerUps = {}) {
+    let counts = powerUps;
+
+    if (typeof powerUps === 'string') {
+        counts = {};
+        powerUps.split(',').map(type => type.trim()).filter(Boolean).forEach(type => {
+            counts[type] = (counts[type] || 0) + 1;
+        });
+    }
+    if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+        throw new Error('Objekt oder Liste wie "peek,time" erwartet');
+    }
+
+    const cards = [];
+    Object.entries(counts).forEach(([type, value]) => {
+        if (!POWER_UPS[type]) {
+            throw new Error(`unbekannte Sonderkarte "${type}" (erlaubt: ${Object.keys(POWER_UPS).join(', ')})`);
+        }
+
+        const options = typeof value === 'object' && value !== null ? value : { count: value };
+        const count = Number(options.count === undefined ? 1 : options.count);
+        if (!Number.isInteger(count) || count < 0 || count > 10) {
+            throw new Error(`${type}: Anzahl zwischen 0 und 10 erwartet`);
+        }
+
+        const definition = { ...POWER_UPS[type], ...options };
+        ['duration', 'seconds'].forEach(option => {
+            if (definition[option] !== undefined && !(Number(definition[option]) > 0)) {
+                throw new Error(`${type}.${option}: positive Sekundenzahl erwartet`);
+            }
+        });
+
+        for (let i = 0; i < count; i++) {
+            cards.push({ type, duration: Number(definition.duration), seconds: Number(definition.seconds) });
+        }
+    });
+
+    return cards;
+}
+
+class PowerUps {
+    constructor(game) {
+        this.game = game;
+    }
+
+    // Deck entries for this round: configured power-ups plus the layout's jokers
+    createDeckEntries(jokers) {
+        const { game } = this;
+        const entries = [...game.config.powerUps];
+        for (let i = 0; i < jokers; i++) {
+            entries.push({ type: 'joker' });
+        }
+
+        return entries.map(powerUp => {
+            const definition = POWER_UPS[powerUp.type];
+            const emoji = powerUp.type === 'joker' ? game.jokerSymbol : definition.emoji;
+            return { powerUp, face: { emoji, text: tAll(`powerUp.${powerUp.type}`) } };
+        });
+    }
+
+    isJoker(entry) {
+        return Boolean(entry && entry.powerUp && entry.powerUp.type === 'joker');
+    }
+
+    // Everything but the joker acts as soon as it is flipped and does not count as a flip
+    isInstant(entry) {
+        return Boolean(entry && entry.powerUp && entry.powerUp.type !== 'joker');
+    }
+
+    // The board takes no input until the power-up is done
+    async activate(card) {
+        const { game } = this;
+        const round = game.round;
+        const { powerUp } = game.getCardEntry(card);
+        const resume = game.state.transition('resolving', `power-up ${powerUp.type}`);
+
+        game.emitEva('processing', t('powerUp.used', { name: t(`powerUp.${powerUp.type}`) }));
+        await game.sleep(400);
+        if (round !== game.round) return;
+        this.use(card);
+
+        switch (powerUp.type) {
+            case 'peek':
+                await this.peek(powerUp.duration);
+                break;
+            case 'shuffle':
+                this.shuffle();
+                break;
+            case 'time':
+                this.addTime(powerUp.seconds);
+                break;
+        }
+
+        if (round === game.round && resume) {
+            game.state.transition('playing', 'power-up done');
+        }
+    }
+
+    use(card) {
+        card.classList.remove('flipped', 'selected');
+        card.classList.add('matched', 'power-up-used');
+    }
+
+    // Joker + any card: the card's real partner is revealed and all of them leave the board
+    async resolveJoker(jokerCard, otherCard) {
+        const { game } = this;
+        const round = game.round;
+        const otherEntry = game.getCardEntry(otherCard);
+
+        if (this.isJoker(otherEntry)) {
+            game.updateGameStatus(tBilingual('powerUp.twoJokers'));
+            await game.sleep(500);
+            if (round !== game.round) return;
+            this.use(jokerCard);
+            this.use(otherCard);
+            return;
+        }
+
+        const partner = this.findPartner(otherCard);
+        game.emitEva('processing', t('powerUp.jokerSearch', { face: game.cardRenderer.describe(otherEntry) }));
+        partner.classList.add('flipped', 'joker-revealed');
+        game.cardRenderer.reveal(partner, game.getCardEntry(partner));
+        game.emitEva('output', t('powerUp.partnerShows', { face: game.cardRenderer.describe(game.getCardEntry(partner)) }));
+
+        await game.sleep(800);
+        if (round !== game.round) return;
+        partner.classList.remove('joker-revealed');
+        this.use(jokerCard);
+        await game.handleMatch(otherCard, partner);
+    }
+
+    findPartner(card) {
+        const { game } = this;
+        const entry = game.getCardEntry(card);
+        const cards = [...document.querySelectorAll('#memoryGrid .memory-card:not(.matched):not(.blank)')];
+
+        // Prefer a face-down partner; in drag mode everything is face up anyway
+        const candidates = cards.filter(other => {
+            const otherEntry = game.getCardEntry(other);
+            return other !== card && !otherEntry.powerUp && game.cardsMatch(entry, otherEntry);
+        });
+        return candidates.find(other => !other.classList.contains('flipped')) || candidates[0];
+    }
+
+    // Shows every card for a moment
+    async peek(seconds) {
+        const { game } = this;
+        const round = game.round;
+        const hidden = [...document.querySelectorAll('#memoryGrid .memory-card:not(.matched):not(.blank):not(.flipped)')];
+
+        game.updateGameStatus(tBilingual('powerUp.peekStatus', { count: seconds }));
+        game.emitEva('output', t('powerUp.peekShown'));
+        hidden.forEach(card => card.classList.add('flipped', 'peeking'));
+
+        await game.sleep(seconds * 1000);
+        if (round !== game.round) return;
+
+        hidden.forEach(card => card.classList.remove('flipped', 'peeking'));
+        game.emitEva('output', t('powerUp.peekHidden'));
+    }
+
+    // Remixes all face-down cards (a card flipped right now stays where it is); drag mode remixes all open cards
+    shuffle() {
+        const { game } = this;
+        const faceDown = game.gameMode === 'drag' ? '' : ':not(.flipped)';
+        const cards = [...document.querySelectorAll(`#memoryGrid .memory-card:not(.matched):not(.blank)${faceDown}`)];
+        const indices = cards.map(card => Number(card.dataset.index));
+        const entries = game.shuffleArray(indices.map(index => game.cards[index]));
+
+        indices.forEach((index, i) => {
+            game.cards[index] = entries[i];
+            game.renderCard(cards[i], entries[i]);
+            cards[i].classList.add('shuffling');
+            setTimeout(() => cards[i].classList.remove('shuffling'), 600);
+        });
+
+        game.emit('shuffle', { indices });
+        game.updateGameStatus(tBilingual('powerUp.shuffled'));
+        game.emitEva('output', t('powerUp.shuffledCount', { count: cards.length }));
+    }
+
+    addTime(seconds) {
+        const { game } = this;
+        game.scheduler.addTime(seconds);
+        game.updateGameStatus(tBilingual('powerUp.timeStatus', { seconds }));
+        game.emitEva('output', t('powerUp.timeAdded', { seconds }));
+    }
+}
@@ -0,0 +1,116 @@
+// Reads mission, status lines, Byte's messages and the station-change instruction aloud
+// (speechSynthesis in the first display language). One utterance at a time, and never on top of a sound effect.
+class ReadAloud {
+    constructor(game, enabled) {
+        this.game = game;
+        this.synth = window.speechSynthesis;
+        this.button = document.getElementById('readAloudBtn');
+        this.queue = []; // { kind, text }
+        this.speaking = false;
+        this.current = null;
+        this.effectsEndAt = 0; // Date.now() when the last sound effect is over
+        this.maxQueue = 3; // Older messages are dropped rather than read late
+
+        if (!this.synth || !window.SpeechSynthesisUtterance) {
+            this.button.hidden = true;
+            this.enabled = false;
+            return;
+        }
+
+        this.setEnabled(enabled);
+        this.button.addEventListener('click', () => {
+            this.setEnabled(!this.enabled);
+            saveDeviceConfig({ speech: this.enabled });
+        });
+
+        game.on('status', ({ message }) => this.speak('status', message));
+        game.on('speech', ({ text }) => this.speak('byte', t('byte.says', { text: firstLine(text) })));
+        game.on('instruction', ({ text }) => this.speak('instruction', text));
+        game.on('sound', ({ duration }) => {
+            this.effectsEndAt = Math.max(this.effectsEndAt, Date.now() + duration * 1000);
+        });
+        game.state.onTransition(({ to }) => {
+            if (to === 'idle') {
+                this.cancel();
+                this.readMission();
+            }
+        });
+        game.on('locale', () => this.setEnabled(this.enabled));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.button.setAttribute('aria-pressed', String(enabled));
+        this.button.textContent = t(enabled ? 'controls.readAloudOn' : 'controls.readAloudOff');
+
+        if (enabled) {
+            this.readMission();
+        } else {
+            this.cancel();
+        }
+    }
+
+    readMission() {
+        const title = firstLine(document.getElementById('missionTitle').textContent);
+        const description = firstLine(document.getElementById('missionDescription').textContent);
+        this.speak('mission', `${title} ${description}`);
+    }
+
+    speak(kind, message) {
+        // Emoji stay in: voices read them by name, which helps with emoji-only cards
+        const text = message && firstLine(message).replace(/ · /g, ', ').trim();
+        if (!this.enabled || !text) return;
+
+        // A newer status line replaces one that has not been read yet
+        if (kind === 'status') {
+            this.queue = this.queue.filter(item => item.kind !== 'status');
+        }
+        this.queue.push({ kind, text });
+        if (this.queue.length > this.maxQueue) {
+            this.queue.shift();
+        }
+        this.next();
+    }
+
+    next() {
+        if (this.speaking || this.queue.length === 0) return;
+
+        // Wait for the current sound effect to fade out
+        const wait = this.effectsEndAt - Date.now();
+        if (wait > 0) {
+            clearTimeout(this.waitTimer);
+            this.waitTimer = setTimeout(() => this.next(), wait);
+            return;
+        }
+
+        const { text } = this.queue.shift();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = LOCALES[activeLocale].tag;
+        utterance.rate = 0.9; // A little slower for first graders
+        const voice = this.synth.getVoices().find(candidate => candidate.lang.startsWith(activeLocale));
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        // A cancelled utterance still reports its end - only the current one moves the queue on
+        utterance.onend = utterance.onerror = () => {
+            if (this.current !== utterance) return;
+            this.current = null;
+            this.speaking = false;
+            this.next();
+        };
+        this.current = utterance;
+        this.speaking = true;
+        this.synth.speak(utterance);
+    }
+
+    cancel() {
+        clearTimeout(this.waitTimer);
+        this.queue = [];
+        this.current = null;
+        this.speaking = false;
+        if (this.synth) {
+            this.synth.cancel();
+        }
+    }
+}
@@ -0,0 +1,207 @@
+// Round schedule: an ordered list of phases. Board phases are played, all others show the modal.
+// Phase fields: name, duration (seconds, or 'work' / 'pause' for the station times), board,
+// title, text (a string or one per language), sound (a cue from sound.js), mood (Byte sprite)
+// and format ('clock' or 'seconds').
+const SCHEDULE_PRESETS = {
+    // Today's round: work, then pause, then station change
+    standard: [
+        { name: 'work', duration: 'work', board: true },
+        { name: 'pause', duration: 'pause' }
+    ],
+    countdown: [
+        { name: 'intro', duration: 10, title: tAll('phase.intro.title'), text: tAll('phase.intro.text'), format: 'seconds', sound: 'navigation', mood: 'thinking' },
+        { name: 'work', duration: 'work', board: true, text: tAll('phase.work.text'), sound: 'match', mood: 'happy' },
+        { name: 'pause', duration: 'pause' }
+    ],
+    full: [
+        { name: 'intro', duration: 10, title: tAll('phase.intro.title'), text: tAll('phase.intro.text'), format: 'seconds', sound: 'navigation', mood: 'thinking' },
+        { name: 'work', duration: 'work', board: true, text: tAll('phase.work.text'), sound: 'match', mood: 'happy' },
+        { name: 'warning', duration: 30, board: true, title: tAll('phase.warning.title'), text: tAll('phase.warning.text'), sound: 'error', mood: 'thinking' },
+        { name: 'pause', duration: 'pause' },
+        { name: 'reflection', duration: 60, title: tAll('phase.reflection.title'), text: tAll('phase.reflection.text'), sound: 'flip', mood: 'thinking' }
+    ]
+};
+
+const DEFAULT_SCHEDULE = 'standard';
+
+const PHASE_SOUNDS = SOUND_CUES;
+const PHASE_MOODS = Object.keys(BYTE_MOODS);
+
+// Accepts a preset name or a phase list; durations are resolved against the station times
+function resolveSchedule(schedule = DEFAULT_SCHEDULE, times) {
+    let phases = schedule;
+
+    if (typeof schedule === 'string') {
+        phases = SCHEDULE_PRESETS[schedule];
+        if (!phases) {
+            throw new Error(`Unbekannter Ablauf: "${schedule}" (vorhanden: ${Object.keys(SCHEDULE_PRESETS).join(', ')})`);
+        }
+    }
+
+    if (!Array.isArray(phases) || phases.length === 0) {
+        throw new Error('Ablauf braucht mindestens eine Phase');
+    }
+
+    const resolved = phases.map((phase, index) => {
+        const label = phase && phase.name ? `Phase "${phase.name}"` : `Phase ${index + 1}`;
+        if (!phase || typeof phase.name !== 'string') {
+            throw new Error(`${label}: Name fehlt`);
+        }
+
+        const duration = typeof phase.duration === 'string' ? times[phase.duration] : phase.duration;
+        if (!Number.isInteger(duration) || duration < 1) {
+            throw new Error(`${label}: Dauer muss eine ganze Sekundenzahl, "work" oder "pause" sein`);
+        }
+        ['title', 'text'].forEach(key => {
+            if (phase[key] !== undefined && !isLocalizedText(phase[key])) {
+                throw new Error(`${label}: ${key} muss ein Text oder ein Text pro Sprache sein`);
+            }
+        });
+        if (phase.sound !== undefined && !PHASE_SOUNDS.includes(phase.sound)) {
+            throw new Error(`${label}: unbekannter Ton "${phase.sound}" (erlaubt: ${PHASE_SOUNDS.join(', ')})`);
+        }
+        if (phase.mood !== undefined && !PHASE_MOODS.includes(phase.mood)) {
+            throw new Error(`${label}: unbekannte Stimmung "${phase.mood}" (erlaubt: ${PHASE_MOODS.join(', ')})`);
+        }
+
+        return {
+            name: phase.name,
+            duration,
+            board: phase.board === true,
+            title: phase.title,
+            text: phase.text,
+            sound: phase.sound,
+            mood: phase.mood,
+            format: phase.format === 'seconds' ? 'seconds' : 'clock'
+        };
+    });
+
+    if (!resolved.some(phase => phase.board)) {
+        throw new Error('Ablauf braucht mindestens eine Spielphase ("board": true)');
+    }
+
+    // The board phases form one block: the state machine locks the board for good once a modal phase
+    // follows, so a second block would never be playable. Several groups in a row use "rotations".
+    const firstBoard = resolved.findIndex(phase => phase.board);
+    const lastBoard = resolved.map(phase => phase.board).lastIndexOf(true);
+    const gap = resolved.slice(firstBoard, lastBoard + 1).find(phase => !phase.board);
+    if (gap) {
+        throw new Error(`Phase "${gap.name}": zwischen zwei Spielphasen ist keine andere Phase möglich (für mehrere Gruppen "rotations" verwenden)`);
+    }
+
+    return resolved;
+}
+
+// Runs the phases back to back on one deadline timer; each phase starts exactly at the
+// previous deadline, and the phase index survives a reload together with the deadline.
+class PhaseScheduler {
+    constructor(phases) {
+        this.phases = phases;
+        this.index = -1;
+        this.storageKey = 'eva-mouse:phase';
+        this.timer = new CountdownTimer('phase');
+        this.listeners = { phase: [], tick: [], end: [] };
+
+        this.timer.on('tick', remaining => this.emit('tick', this.current(), remaining));
+        this.timer.on('expire', deadline => this.enter(this.index + 1, deadline));
+    }
+
+    on(event, listener) {
+        this.listeners[event].push(listener);
+    }
+
+    emit(event, ...args) {
+        this.listeners[event].forEach(listener => listener(...args));
+    }
+
+    current() {
+        return this.phases[this.index] || null;
+    }
+
+    isRunning() {
+        return this.index >= 0;
+    }
+
+    start(startedAt = Date.now()) {
+        this.enter(0, startedAt);
+    }
+
+    // Leaves the board phases early (e.g. all pairs found) and continues with the next non-board phase
+    skipBoardPhases(startedAt = Date.now()) {
+        let next = this.index + 1;
+        while (this.phases[next] && this.phases[next].board) {
+            next++;
+        }
+        this.enter(next, startedAt);
+    }
+
+    // Seconds left in the current phase plus every board phase directly following it
+    remainingBoardTime() {
+        let remaining = this.timer.remaining;
+        for (let i = this.index + 1; this.phases[i] && this.phases[i].board; i++) {
+            remaining += this.phases[i].duration;
+        }
+        return remaining;
+    }
+
+    addTime(seconds) {
+        this.timer.addTime(seconds);
+    }
+
+    enter(index, startedAt) {
+        if (index >= this.phases.length) {
+            this.stop();
+            this.emit('end');
+            return;
+        }
+
+        this.index = index;
+        this.save();
+        this.emit('phase', this.current(), index);
+        this.timer.start(this.current().duration, startedAt);
+    }
+
+    restore() {
+        const index = this.load();
+        if (index === null || !this.phases[index] || !this.timer.hasStoredDeadline()) {
+            this.clear();
+            return false;
+        }
+
+        this.index = index;
+        this.emit('phase', this.current(), index);
+        this.timer.restore();
+        return true;
+    }
+
+    stop() {
+        this.index = -1;
+        this.timer.stop();
+        this.clear();
+    }
+
+    save() {
+        try {
+            sessionStorage.setItem(this.storageKey, String(this.index));
+        } catch (error) {
+            console.warn('Phase could not be stored:', error);
+        }
+    }
+
+    load() {
+        try {
+            const stored = sessionStorage.getItem(this.storageKey);
+            return stored === null ? null : Number(stored);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    clear() {
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Phase could not be cleared:', error);
+        }
+    }
+}
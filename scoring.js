@@ -0,0 +1,139 @@
+// Points and stars per round: pairs, match streaks, mistakes on cards the group had already seen
+// and the time left at the end. The animated breakdown comes before the pause modal of a won round and
+// over the pause modal of a round that ran out of time.
+const SCORE_RULES = {
+    pair: 100,
+    streakBonus: 50, // Per match in a row after the first one
+    seenMistake: -20, // Mismatch although one of the cards had been flipped before
+    secondBonus: 2, // Per second left when all pairs are found
+    // Attempts per pair for 3 and 2 stars; a round that runs out of time before any level is cleared gets 1 star
+    stars: [{ stars: 3, attemptsPerPair: 1.6 }, { stars: 2, attemptsPerPair: 2.5 }]
+};
+
+class ScoreKeeper {
+    constructor(game) {
+        this.game = game;
+        this.overlay = document.getElementById('scoreOverlay');
+        this.rowDelay = 450; // ms between the rows of the breakdown
+        this.holdTime = 3000; // ms the complete breakdown stays visible
+        this.reset();
+
+        game.state.onTransition(({ to }) => {
+            if (to === 'idle') {
+                this.reset();
+                this.hideBreakdown();
+            } else if (to === 'won') {
+                this.timeLeft = game.workingTime;
+            } else if (to === 'timeout' && !game.sequence) { // Sequence mode counts its longest sequence instead
+                this.timeLeft = 0;
+                this.showBreakdown();
+            }
+        });
+
+        game.on('match', () => this.recordMatch());
+        game.on('mismatch', ({ card1, card2 }) => this.recordMismatch(card1, card2));
+        game.on('shuffle', () => this.seen.clear()); // Known positions are worthless after a remix
+        game.on('level', () => this.seen.clear());
+    }
+
+    reset() {
+        this.attempts = 0;
+        this.matches = 0;
+        this.streak = 0;
+        this.longestStreak = 0;
+        this.streakPoints = 0;
+        this.seenMistakes = 0;
+        this.seen = new Set(); // Grid indices flipped in an earlier attempt
+        this.timeLeft = 0;
+    }
+
+    recordMatch() {
+        this.attempts++;
+        this.matches++;
+        this.streak++;
+        this.longestStreak = Math.max(this.longestStreak, this.streak);
+        if (this.streak > 1) {
+            this.streakPoints += SCORE_RULES.streakBonus;
+            this.game.emitEva('processing', t('score.streakEva', { count: this.streak, points: SCORE_RULES.streakBonus }));
+        }
+    }
+
+    recordMismatch(card1, card2) {
+        this.attempts++;
+        this.streak = 0;
+
+        // Drag mode shows every card, so nothing can be forgotten there
+        if (this.game.gameMode === 'drag') return;
+
+        const indices = [card1, card2].map(card => Number(card.dataset.index));
+        if (indices.some(index => this.seen.has(index))) {
+            this.seenMistakes++;
+        }
+        indices.forEach(index => this.seen.add(index));
+    }
+
+    getScore() {
+        const won = this.game.state.is('won', 'pause', 'station-change') && this.game.matchedPairs === this.game.totalPairs;
+        const rows = [
+            { label: t('score.pairs', { count: this.matches, points: SCORE_RULES.pair }), points: this.matches * SCORE_RULES.pair },
+            { label: t('score.streak', { count: this.longestStreak }), points: this.streakPoints },
+            { label: t('score.seenMistakes', { count: this.seenMistakes }), points: this.seenMistakes * SCORE_RULES.seenMistake }
+        ];
+        if (won) {
+            rows.push({ label: t('score.timeLeft', { seconds: this.timeLeft, points: SCORE_RULES.secondBonus }), points: this.timeLeft * SCORE_RULES.secondBonus });
+        }
+
+        const points = Math.max(0, rows.reduce((sum, row) => sum + row.points, 0));
+        const attemptsPerPair = this.matches > 0 ? this.attempts / this.matches : Infinity;
+        // A cleared level of the ladder counts like a won round, even when the time runs out on the next one
+        const cleared = won || Boolean(this.game.levels && this.game.levels.index > 0);
+        const rating = cleared && SCORE_RULES.stars.find(rule => attemptsPerPair <= rule.attemptsPerPair);
+
+        return { rows, points, stars: rating ? rating.stars : 1, attempts: this.attempts, won };
+    }
+
+    // Resolves once the breakdown has been shown (or the round was reset)
+    async showBreakdown() {
+        const round = this.game.round;
+        const score = this.getScore();
+        const list = document.getElementById('scoreRows');
+
+        list.innerHTML = '';
+        document.getElementById('scoreTitle').textContent = t(score.won ? 'score.title' : 'score.titleTimeout');
+        document.getElementById('scoreTotal').textContent = '';
+        document.getElementById('scoreStars').textContent = '';
+        document.getElementById('scoreAttempts').textContent = t('score.attempts', { count: score.attempts });
+        this.overlay.hidden = false;
+
+        for (const row of score.rows) {
+            await this.game.sleep(this.rowDelay);
+            if (round !== this.game.round || this.overlay.hidden) return score;
+
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const value = document.createElement('span');
+            label.textContent = row.label;
+            value.textContent = `${row.points >= 0 ? '+' : '−'}${Math.abs(row.points)}`;
+            value.className = row.points < 0 ? 'score-penalty' : 'score-points';
+            item.append(label, value);
+            list.appendChild(item);
+            this.game.sound.play('navigation');
+        }
+
+        await this.game.sleep(this.rowDelay);
+        if (round !== this.game.round || this.overlay.hidden) return score;
+
+        document.getElementById('scoreTotal').textContent = t('score.total', { count: score.points, points: score.points.toLocaleString(LOCALES[activeLocale].tag) });
+        document.getElementById('scoreStars').textContent = '⭐'.repeat(score.stars) + '☆'.repeat(3 - score.stars);
+        this.game.sound.play('match');
+        this.game.emitEva('output', t('score.result', { points: score.points, stars: score.stars }));
+
+        await this.game.sleep(this.holdTime);
+        this.hideBreakdown();
+        return score;
+    }
+
+    hideBreakdown() {
+        this.overlay.hidden = true;
+    }
+}
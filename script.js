@@ -1,34 +1,225 @@
+// Round lifecycle; every state may fall back to idle (round reset)
+const GAME_TRANSITIONS = {
+    idle: ['countdown', 'playing', 'pause', 'idle'], // pause directly: resumed after a reload
+    countdown: ['playing', 'idle'],
+    playing: ['resolving', 'timeout', 'idle'],
+    resolving: ['playing', 'won', 'timeout', 'idle'],
+    won: ['resolving', 'pause', 'station-change', 'idle'], // resolving: the bonus round shows its first sequence
+    timeout: ['pause', 'station-change', 'idle'],
+    pause: ['station-change', 'idle'],
+    'station-change': ['idle']
+};
+
 class MemoryGame {
-    constructor() {
-        this.audioContext = null;
+    constructor(config = validateStationConfig(DEFAULT_STATION_CONFIG)) {
+        this.config = config;
+        setLocale(config.locale, config.secondLocale);
         this.currentPosition = { row: 0, col: 0 };
         this.flippedCards = [];
         this.matchedPairs = 0;
-        this.totalPairs = 12;
-        this.isProcessing = false;
-        this.gameStarted = false;
-        
-        // Timer properties
-        this.timerStarted = false;
-        this.workingTime = 180; // 3 minutes in seconds
-        this.modalTime = 180; // 3 minutes in seconds
-        this.workingTimer = null;
-        this.modalTimer = null;
-        
-        // Card symbols (12 pairs = 24 cards + 1 joker = 25 cards for 5x5)
-        this.cardSymbols = ['🎵', '🎨', '🎮', '⚽', '🌟', '🎭', '🎪', '🎸', '🎯', '🎲', '🎰', '🎳'];
-        this.jokerSymbol = '⭐'; // Special joker card (auto-matches)
-        this.cards = [];
-        
+        this.mistakes = 0;
+        
+        // Board layout (rows, columns, pairs, jokers and power-up cards)
+        this.layout = resolveBoardLayout(config.board, config.powerUps.length);
+        this.totalPairs = this.layout.pairs;
+        this.mismatchTime = 1000; // ms a mismatched pair stays open (levels shorten it)
+        this.round = 0; // Increments on every reset so pending async steps of an old round are dropped
+        
+        // Game state (idle = waiting for the first click)
+        this.state = new StateMachine('idle', GAME_TRANSITIONS, config.debug);
+        this.state.onTransition(change => this.handleStateChange(change));
+        
+        // Round schedule (remaining seconds, kept in sync by the scheduler's tick events)
+        this.workingTime = config.workingTime; // All board phases still ahead
+        this.modalTime = config.modalTime; // Current modal phase
+        this.scheduler = new PhaseScheduler(config.phases);
+        this.rotation = this.loadRotation(); // Group number when several groups rotate through
+        
+        // Card pairs from the selected set (the layout decides how many pairs are used)
+        this.cardSet = config.cardSet;
+        this.jokerSymbol = config.cardSet.joker; // Joker power-up (reveals the partner of the other card)
+        this.cards = []; // Deck entries by grid index, null for blank filler cells
+        this.powerUps = new PowerUps(this);
+        
+        // Game mode: 'memory' (flip two cards), 'sound' (flip two cards and listen), 'drag' (drag face-up cards
+        // onto their partner) or 'sequence' (repeat the cells Byte lights up); ?bonus switches a won board to 'sequence'
+        this.sequenceRound = config.gameMode === 'sequence' || config.bonus ? new SequenceRound(this) : null;
+        this.bonusMinTime = 20; // s of working time left that are worth a bonus round
+        this.setGameMode(config.gameMode); // Sets gameMode, cardRenderer and sequence (the running sequence round)
+        
+        // Input: 'keyboard-mouse' (arrows + button) or 'mouse' (point at cards, click or double-click)
+        this.inputMode = config.inputMode;
+        this.clickMode = config.clickMode;
+        
+        // Game events ('eva', 'select', 'confirm-click', 'card-click', 'flip', 'match', 'mismatch', 'shuffle', 'level', 'turn', 'speech', 'status', 'sound', 'instruction', 'modal', 'locale')
+        // and teacher hotkeys (Ctrl+Alt+key); while a teacher tool is open only the hotkeys work
+        this.listeners = {};
+        this.suspended = false;
+        this.teacherHotkeys = {
+            n: () => this.resetRound(),
+            m: () => this.setInputMode(this.inputMode === 'mouse' ? 'keyboard-mouse' : 'mouse')
+        };
+        
+        this.levels = config.levels ? new LevelLadder(this) : null; // Sets layout and pairs of the current level
+        
+        this.mascot = new ByteMascot(this);
+        this.speech = new ByteSpeech(this);
+        this.accessibility = new GridAccessibility(this);
+        this.languageSwitcher = new LanguageSwitcher(this);
+        
+        translatePage();
+        this.applyStationTexts();
+        this.readAloud = new ReadAloud(this, config.readAloud); // Starts with the mission, so after the texts
         this.initializeGame();
         this.initializeEventListeners();
-        this.initializeAudioContext();
+        this.initializeSchedule();
+        this.sound = new SoundEngine(this, { theme: config.soundTheme, volume: config.volume, muted: config.muted });
+        
+        this.evaPanel = new EvaPanel(this, config.evaPanel);
+        this.analytics = new MouseAnalytics(this);
+        this.scoring = new ScoreKeeper(this);
+        this.hotSeat = null;
+        if (config.players.length > 0) {
+            this.hotSeat = new HotSeat(this, config.players, config.roles);
+            this.applyInputMode(); // Status line names the first player
+        }
+        this.opponent = config.opponent !== 'none' ? new ByteOpponent(this, config.opponent) : null;
+        this.cardEditor = new CardSetEditor(this, new CardSetStore());
+        
+        if (this.gameMode === 'drag') {
+            this.dragPairing = new DragPairing(this);
+        }
+        
+        // Last, so a phase resumed after a reload reaches every listener (analytics, scoring, players, Byte)
+        this.scheduler.restore();
+    }
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    emit(event, detail) {
+        (this.listeners[event] || []).forEach(listener => listener(detail));
+    }
+
+    // EVA stages: 'input' (Eingabe), 'processing' (Verarbeitung), 'output' (Ausgabe)
+    emitEva(stage, text) {
+        this.emit('eva', { stage, text });
+    }
+
+    handleStateChange({ from, to, reason }) {
+        document.body.dataset.gameState = to;
+        
+        if (this.config.debug) {
+            console.debug(`[MemoryGame] ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+        }
+    }
+
+    // Configured texts may come in several languages; the bilingual display shows two of them
+    applyStationTexts() {
+        const texts = this.stationTexts = {
+            timerLabel: t('timer.label'),
+            modalTitle: t('modal.title', { duration: this.formatDuration(this.modalTime) }),
+            modalTimerText: t('modal.timerText'),
+            ...this.localizedConfigTexts()
+        };
+        
+        Object.entries(texts).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = text;
+            }
+        });
+        
+        document.getElementById('timerValue').textContent = this.formatTime(this.workingTime);
+        document.getElementById('modalTimerValue').textContent = this.formatTime(this.modalTime);
+        
+        this.applyInputMode();
+    }
+
+    localizedConfigTexts() {
+        const texts = {};
+        Object.entries(this.config.texts).forEach(([id, text]) => {
+            texts[id] = bilingual(text);
+        });
+        return texts;
+    }
+
+    applyInputMode() {
+        const texts = { ...this.getInputModeTexts(), ...this.localizedConfigTexts() };
+        this.stationTexts.missionDescription = texts.missionDescription;
+        this.stationTexts.gameStatus = texts.gameStatus;
+        document.getElementById('missionTitle').textContent = texts.missionTitle;
+        document.getElementById('missionDescription').textContent = texts.missionDescription;
+        this.updateGameStatus(texts.gameStatus);
+        
+        document.body.dataset.inputMode = this.inputMode;
+        document.body.dataset.gameMode = this.gameMode;
+        document.getElementById('confirmBtn').hidden = this.inputMode === 'mouse' || this.gameMode === 'drag';
+    }
+
+    getInputModeTexts() {
+        let mode = this.config.accessible ? 'keyboardAccessible' : 'keyboard';
+        if (this.gameMode === 'drag') {
+            mode = 'drag';
+        } else if (this.sequence) {
+            mode = this.inputMode === 'mouse' ? 'sequenceMouse' : 'sequence';
+        } else if (this.inputMode === 'mouse') {
+            mode = this.clickMode === 'double' ? 'mouseDoubleClick' : 'mouseClick';
+        }
+        
+        return {
+            missionTitle: tBilingual({ sound: 'mission.titleSound', sequence: 'mission.titleSequence' }[this.gameMode] || 'mission.title'),
+            missionDescription: tBilingual(`mission.${mode}`),
+            gameStatus: tBilingual(`status.${mode}`)
+        };
+    }
+
+    // The station's mode, or 'sequence' for the bonus round after a won board (until the next reset)
+    setGameMode(mode) {
+        const renderers = { sound: SoundCardRenderer, sequence: SequenceCellRenderer };
+        this.gameMode = mode;
+        this.cardRenderer = new (renderers[mode] || PictureCardRenderer)(this);
+        this.sequence = mode === 'sequence' ? this.sequenceRound : null;
+        
+        // Sequence mode confirms cells, not cards
+        const confirmBtn = document.getElementById('confirmBtn');
+        confirmBtn.dataset.i18n = mode === 'sequence' ? 'controls.confirmSequence' : 'controls.confirm';
+        confirmBtn.textContent = t(confirmBtn.dataset.i18n);
+    }
+
+    setInputMode(mode) {
+        this.inputMode = mode;
+        this.applyInputMode();
+        this.updateGameStatus(tBilingual(mode === 'mouse' ? 'status.mouseMode' : 'status.keyboardMode'));
+    }
+
+    // Language switcher: texts, cards and Byte change language, the round goes on
+    setLanguage(locale) {
+        setLocale(locale, this.config.secondLocale);
+        translatePage();
+        this.applyStationTexts();
+        this.cards.forEach((entry, index) => {
+            if (entry) {
+                this.renderCard(document.querySelector(`#memoryGrid [data-index="${index}"]`), entry);
+            }
+        });
+        
+        // The running phase shows its own texts again
+        const phase = this.scheduler.current();
+        if (this.state.is('station-change')) {
+            this.showStationChangeMessage();
+        } else if (phase && phase.board && this.state.is('playing', 'resolving')) {
+            this.showTimerDisplay(phase);
+        } else if (phase && this.state.is('countdown', 'pause')) {
+            this.showModal(phase);
+        }
+        this.emit('locale', { locale });
     }
 
     initializeGame() {
-        // Create pairs and shuffle (12 pairs + 1 joker = 25 cards)
-        const symbols = [...this.cardSymbols, ...this.cardSymbols, this.jokerSymbol];
-        this.cards = this.shuffleArray(symbols);
+        // Sequence mode: one cell per grid position instead of a deck
+        this.cards = this.sequence ? this.sequence.createCells() : this.createDeck();
         
         // Generate card grid
         this.createCardGrid();
@@ -37,6 +228,29 @@ class MemoryGame {
         this.updateSelectedCard();
     }
 
+    createDeck() {
+        const { pairs, jokers, blanks } = this.layout;
+        
+        if (pairs > this.cardSet.pairs.length) {
+            throw new Error(`Zu wenige Paare im Set für ${pairs} Paare (${this.cardSet.pairs.length} vorhanden)`);
+        }
+        
+        // One card per face of each pair, add power-ups (incl. jokers), fill up with blanks and shuffle
+        const deck = [];
+        const roundPairs = this.levels ? this.levels.pickPairs(this.cardSet, pairs) : this.cardSet.pairs.slice(0, pairs);
+        this.cardRenderer.prepare(roundPairs);
+        roundPairs.forEach(pair => {
+            pair.faces.forEach((face, side) => {
+                deck.push({ pairId: pair.id, key: pair.key, side, face });
+            });
+        });
+        deck.push(...this.powerUps.createDeckEntries(jokers));
+        for (let i = 0; i < blanks; i++) {
+            deck.push(null);
+        }
+        return this.shuffleArray(deck);
+    }
+
     shuffleArray(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
@@ -49,22 +263,94 @@ class MemoryGame {
     createCardGrid() {
         const grid = document.getElementById('memoryGrid');
         grid.innerHTML = '';
+        grid.style.setProperty('--grid-cols', this.layout.cols);
+        grid.style.setProperty('--grid-rows', this.layout.rows);
+        grid.setAttribute('aria-rowcount', this.layout.rows);
+        grid.setAttribute('aria-colcount', this.layout.cols);
+        
+        // Rows only exist for screen readers (display: contents keeps the CSS grid)
+        const rows = [];
+        for (let i = 0; i < this.layout.rows; i++) {
+            const row = document.createElement('div');
+            row.className = 'memory-row';
+            row.setAttribute('role', 'row');
+            rows.push(grid.appendChild(row));
+        }
         
-        this.cards.forEach((symbol, index) => {
+        this.cards.forEach((entry, index) => {
             const card = document.createElement('div');
             card.className = 'memory-card';
             card.dataset.index = index;
-            card.dataset.symbol = symbol;
+            card.setAttribute('role', 'gridcell');
+            card.tabIndex = -1;
+            const row = rows[Math.floor(index / this.layout.cols)];
             
-            const icon = document.createElement('div');
-            icon.className = 'card-icon';
-            icon.textContent = symbol;
-            card.appendChild(icon);
+            if (entry === null) {
+                card.classList.add('blank');
+                row.appendChild(card);
+                return;
+            }
             
-            grid.appendChild(card);
+            // Drag mode plays with all cards face up
+            if (this.gameMode === 'drag') {
+                card.classList.add('flipped');
+            }
+            
+            // Pointer input (only used in mouse mode)
+            card.addEventListener('pointerenter', () => this.handleCardHover(index));
+            card.addEventListener('click', () => this.handleCardClick(index, 'click'));
+            card.addEventListener('dblclick', () => this.handleCardClick(index, 'dblclick'));
+            
+            this.renderCard(card, entry);
+            row.appendChild(card);
         });
     }
 
+    // Face and data of one card (also used when power-ups remix the board)
+    renderCard(card, entry) {
+        card.dataset.pairId = entry.powerUp ? entry.powerUp.type : entry.pairId;
+        card.classList.toggle('power-up', Boolean(entry.powerUp));
+        this.cardRenderer.render(card, entry);
+    }
+
+    // A face can show an emoji, an image and/or a text (e.g. "⌨️ Tastatur" or just "Eingabe")
+    renderCardFace(face) {
+        const content = document.createElement('div');
+        content.className = 'card-face';
+        
+        if (face.image) {
+            const image = document.createElement('img');
+            image.className = 'card-image';
+            image.src = face.image;
+            image.alt = localize(face.text) || '';
+            image.draggable = false;
+            content.appendChild(image);
+        }
+        if (face.emoji) {
+            const icon = document.createElement('div');
+            icon.className = 'card-icon';
+            icon.textContent = face.emoji;
+            content.appendChild(icon);
+        }
+        if (face.text) {
+            const text = document.createElement('div');
+            text.className = 'card-text';
+            text.textContent = bilingual(face.text);
+            content.appendChild(text);
+        }
+        
+        return content;
+    }
+
+    getCardEntry(card) {
+        return this.cards[Number(card.dataset.index)];
+    }
+
+    // Both cards need the same pair key and different faces (jokers are handled by PowerUps)
+    cardsMatch(entry1, entry2) {
+        return entry1.key === entry2.key && entry1.side !== entry2.side;
+    }
+
     initializeEventListeners() {
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
@@ -73,22 +359,40 @@ class MemoryGame {
         
         // Confirm button
         document.getElementById('confirmBtn').addEventListener('click', () => {
+            if (this.isComputerTurn()) return;
+            this.emitEva('input', t('eva.confirmClick', { button: document.getElementById('confirmBtn').textContent }));
+            this.emit('confirm-click');
             this.confirmSelection();
         });
-    }
-
-    initializeAudioContext() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (error) {
-            console.warn('Web Audio API not supported:', error);
-        }
+        
+        // Next group button in the modal
+        document.getElementById('nextRoundBtn').addEventListener('click', () => {
+            this.resetRound();
+        });
     }
 
     handleKeyPress(e) {
-        if (this.isProcessing) return;
+        // Teacher hotkeys work in every state (Ctrl+Alt+N starts a fresh round)
+        const hotkey = e.ctrlKey && e.altKey && this.teacherHotkeys[e.key.toLowerCase()];
+        if (hotkey) {
+            e.preventDefault();
+            hotkey();
+            return;
+        }
+        
+        // Typing in a form field, an open teacher tool or Byte's turn: no game input
+        if (this.suspended || this.isComputerTurn() || e.target.closest && e.target.closest('input, select, textarea')) return;
+        
+        // Navigation only while the board is accepting input (and not in mouse-only modes)
+        if (!this.state.is('idle', 'playing') || this.inputMode === 'mouse' || this.gameMode === 'drag') return;
         
         const key = e.key;
+        const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        
+        if (arrows[key]) {
+            this.emitEva('input', t('eva.arrowKey', { arrow: arrows[key] }));
+            this.emit('select', { source: 'keyboard', key });
+        }
         
         switch(key) {
             case 'ArrowUp':
@@ -107,6 +411,14 @@ class MemoryGame {
                 e.preventDefault();
                 this.moveSelection(0, 1);
                 break;
+            case 'Enter':
+            case ' ':
+                // Accessible mode: the keyboard alone can flip cards (buttons keep their own Enter/Space)
+                if (!this.config.accessible || e.target.closest && e.target.closest('button')) break;
+                e.preventDefault();
+                this.emitEva('input', t(key === 'Enter' ? 'eva.enterKey' : 'eva.spaceKey'));
+                this.confirmSelection();
+                break;
         }
     }
 
@@ -114,23 +426,75 @@ class MemoryGame {
         const newRow = this.currentPosition.row + rowDelta;
         const newCol = this.currentPosition.col + colDelta;
         
-        // Check boundaries (5 rows x 5 columns)
-        if (newRow >= 0 && newRow < 5 && newCol >= 0 && newCol < 5) {
-            this.currentPosition.row = newRow;
-            this.currentPosition.col = newCol;
-            this.updateSelectedCard();
-            this.playNavigationSound();
+        // Check boundaries of the current layout
+        if (newRow >= 0 && newRow < this.layout.rows && newCol >= 0 && newCol < this.layout.cols) {
+            this.selectPosition(newRow, newCol);
+        } else {
+            this.emitEva('processing', t('eva.edge'));
         }
     }
 
+    selectPosition(row, col) {
+        this.currentPosition.row = row;
+        this.currentPosition.col = col;
+        this.emitEva('processing', t('eva.position', { row: row + 1, col: col + 1 }));
+        this.updateSelectedCard();
+        this.sound.play('navigation');
+        this.emitEva('output', t('eva.frameMoves'));
+    }
+
+    handleCardHover(index) {
+        if (this.inputMode !== 'mouse' || this.gameMode === 'drag' || !this.state.is('idle', 'playing')) return;
+        if (this.isComputerTurn()) return;
+        if (index === this.getCurrentIndex()) return;
+        
+        this.emitEva('input', t('eva.mousePoints', { card: index + 1 }));
+        this.emit('select', { source: 'mouse', index });
+        this.selectPosition(Math.floor(index / this.layout.cols), index % this.layout.cols);
+    }
+
+    handleCardClick(index, type) {
+        if (this.inputMode !== 'mouse' || this.gameMode === 'drag' || this.isComputerTurn()) return;
+        
+        this.emitEva('input', t(type === 'dblclick' ? 'eva.mouseDoubleClick' : 'eva.mouseClick', { card: index + 1 }));
+        this.emit('card-click', { type, index });
+        
+        // The browser reports click, click, dblclick - only the configured one flips
+        const expected = this.clickMode === 'double' ? 'dblclick' : 'click';
+        if (type !== expected) {
+            if (type === 'click') {
+                this.emitEva('processing', t('eva.singleClick'));
+            }
+            return;
+        }
+        
+        this.currentPosition = { row: Math.floor(index / this.layout.cols), col: index % this.layout.cols };
+        this.updateSelectedCard();
+        this.confirmSelection();
+    }
+
+    // Byte plays its own turns against the group; human input waits meanwhile
+    isComputerTurn() {
+        return Boolean(this.hotSeat && this.hotSeat.currentPlayer().computer);
+    }
+
+    getCurrentIndex() {
+        return this.currentPosition.row * this.layout.cols + this.currentPosition.col;
+    }
+
     updateSelectedCard() {
+        this.accessibility.syncSelection();
+        
+        // Drag mode has no selection frame
+        if (this.gameMode === 'drag') return;
+        
         // Remove all selections
         document.querySelectorAll('.memory-card').forEach(card => {
             card.classList.remove('selected');
         });
         
         // Add selection to current card
-        const currentIndex = this.currentPosition.row * 5 + this.currentPosition.col;
+        const currentIndex = this.getCurrentIndex();
         const currentCard = document.querySelector(`[data-index="${currentIndex}"]`);
         
         if (currentCard && !currentCard.classList.contains('matched')) {
@@ -139,42 +503,87 @@ class MemoryGame {
     }
 
     async confirmSelection() {
-        if (this.isProcessing) return;
+        this.startIfIdle();
+        
+        if (!this.state.is('playing')) return;
         
-        // Start timer on first interaction
-        if (!this.timerStarted) {
-            this.startWorkingTimer();
-            this.timerStarted = true;
+        // Sequence mode checks the cell against Byte's sequence instead of flipping it
+        if (this.sequence) {
+            await this.sequence.confirm(this.getCurrentIndex());
+            return;
         }
         
-        const currentIndex = this.currentPosition.row * 5 + this.currentPosition.col;
+        const currentIndex = this.getCurrentIndex();
         const currentCard = document.querySelector(`[data-index="${currentIndex}"]`);
         
-        // Can't select already matched or flipped cards
-        if (!currentCard || currentCard.classList.contains('matched') || 
+        // Can't select blank, already matched or flipped cards
+        if (!currentCard || currentCard.classList.contains('blank') ||
+            currentCard.classList.contains('matched') || 
             currentCard.classList.contains('flipped')) {
+            this.emitEva('processing', t('eva.cannotFlip'));
             return;
         }
         
         // Flip the card
+        const entry = this.getCardEntry(currentCard);
+        this.emitEva('processing', t('eva.flip', { card: currentIndex + 1 }));
         currentCard.classList.add('flipped');
         this.flippedCards.push(currentCard);
-        this.playFlipSound();
+        this.cardRenderer.reveal(currentCard, entry);
+        this.emitEva('output', t('eva.cardShows', { face: this.cardRenderer.describe(entry) }));
+        this.emit('flip', { card: currentCard, index: currentIndex });
+        
+        // Power-ups other than the joker act right away and don't count as a flip
+        if (this.powerUps.isInstant(entry)) {
+            this.flippedCards.pop();
+            await this.powerUps.activate(currentCard);
+            this.updateSelectedCard();
+            return;
+        }
         
         // Check if two cards are flipped
         if (this.flippedCards.length === 2) {
-            this.isProcessing = true;
+            this.state.transition('resolving');
             await this.checkMatch();
         }
     }
 
+    // Start the schedule on first interaction (an intro phase swallows the click)
+    startIfIdle() {
+        if (this.state.is('idle')) {
+            this.scheduler.start();
+        }
+    }
+
+    // Drag mode: a card dropped onto another one is checked like two flipped cards,
+    // a dropped power-up (other than the joker) just acts
+    async pairCards(card1, card2) {
+        if (!this.state.is('playing')) return;
+        
+        const instant = [card1, card2].find(card => this.powerUps.isInstant(this.getCardEntry(card)));
+        if (instant) {
+            await this.powerUps.activate(instant);
+            return;
+        }
+        
+        this.flippedCards = [card1, card2];
+        this.state.transition('resolving', 'card dropped');
+        await this.checkMatch();
+    }
+
     async checkMatch() {
+        const round = this.round;
         const [card1, card2] = this.flippedCards;
-        const symbol1 = card1.dataset.symbol;
-        const symbol2 = card2.dataset.symbol;
+        const entry1 = this.getCardEntry(card1);
+        const entry2 = this.getCardEntry(card2);
         
-        // Check if either card is the joker (always matches)
-        if (symbol1 === this.jokerSymbol || symbol2 === this.jokerSymbol || symbol1 === symbol2) {
+        this.emitEva('processing', t('eva.compare', { first: this.cardRenderer.describe(entry1), second: this.cardRenderer.describe(entry2) }));
+        
+        if (this.powerUps.isJoker(entry1)) {
+            await this.powerUps.resolveJoker(card1, card2);
+        } else if (this.powerUps.isJoker(entry2)) {
+            await this.powerUps.resolveJoker(card2, card1);
+        } else if (this.cardsMatch(entry1, entry2)) {
             // Match found!
             await this.handleMatch(card1, card2);
         } else {
@@ -182,232 +591,253 @@ class MemoryGame {
             await this.handleMismatch(card1, card2);
         }
         
+        if (round !== this.round) return;
+        
         this.flippedCards = [];
-        this.isProcessing = false;
+        this.state.transition('playing', 'cards resolved');
         this.updateSelectedCard();
     }
 
     async handleMatch(card1, card2) {
+        const round = this.round;
         await this.sleep(500);
+        if (round !== this.round || !this.state.is('resolving')) return;
         
         card1.classList.add('matched');
         card2.classList.add('matched');
         card1.classList.remove('flipped');
         card2.classList.remove('flipped');
+        card1.classList.remove('selected');
+        card2.classList.remove('selected');
         
         this.matchedPairs++;
-        this.playMatchSound();
-        this.showByteHappy();
-        this.updateGameStatus(`Paar gefunden! (${this.matchedPairs}/${this.totalPairs})`);
-        
-        // Check if game won
-        if (this.matchedPairs === this.totalPairs) {
+        this.emit('match', { card1, card2, matchedPairs: this.matchedPairs });
+        this.sound.play('match');
+        this.emitEva('output', t('eva.cardsGreen'));
+        this.updateGameStatus(tBilingual('status.pairFound', { count: this.matchedPairs, total: this.totalPairs }));
+        
+        // Board cleared: next level, or the round is won
+        if (this.matchedPairs !== this.totalPairs) return;
+        if (this.levels && this.levels.hasNext()) {
+            await this.levels.advance();
+        } else if (this.state.transition('won', 'all pairs found')) {
             await this.handleGameWon();
         }
     }
 
     async handleMismatch(card1, card2) {
+        const round = this.round;
         card1.classList.add('wrong');
         card2.classList.add('wrong');
+        this.mistakes++;
+        this.emit('mismatch', { card1, card2, mistakes: this.mistakes });
+        
+        this.sound.play('error');
+        this.emitEva('output', t('eva.cardsRed'));
+        if (this.gameMode === 'drag') {
+            this.updateGameStatus(tBilingual('status.wrongTarget', { mistakes: this.mistakes }));
+        } else {
+            this.updateGameStatus(tBilingual('status.noPair'));
+        }
         
-        this.playErrorSound();
-        this.updateGameStatus('Kein Paar - versuche es erneut!');
+        await this.sleep(this.mismatchTime);
         
-        await this.sleep(1000);
+        card1.classList.remove('wrong');
+        card2.classList.remove('wrong');
         
-        card1.classList.remove('flipped', 'wrong');
-        card2.classList.remove('flipped', 'wrong');
+        // Drag mode keeps every card face up
+        if (this.gameMode !== 'drag') {
+            card1.classList.remove('flipped');
+            card2.classList.remove('flipped');
+        }
+        
+        // Multiplayer: a mismatch passes the turn
+        if (this.hotSeat && round === this.round) {
+            this.hotSeat.nextTurn();
+        }
     }
 
     async handleGameWon() {
-        clearInterval(this.workingTimer);
-        this.updateGameStatus('🎉 Gewonnen! Alle Paare gefunden!');
-        this.showByteHappy();
+        const round = this.round;
+        this.updateGameStatus(tBilingual('status.won'));
+        this.sound.play('fanfare');
+        
+        // Unused power-ups are shown so no card is left face down
+        document.querySelectorAll('#memoryGrid .power-up:not(.matched)').forEach(card => {
+            card.classList.add('flipped');
+        });
         
-        // Automatically show modal after short delay
-        await this.sleep(2000);
-        this.showModal();
+        // Score breakdown, then the pause modal (unless the time ran out meanwhile)
+        await this.sleep(1000);
+        if (round !== this.round) return;
+        await this.scoring.showBreakdown();
+        
+        const phase = this.scheduler.current();
+        if (round !== this.round || !phase || !phase.board) return;
+        if (this.config.bonus && this.workingTime >= this.bonusMinTime) {
+            this.startBonusRound();
+            return;
+        }
+        this.scheduler.skipBoardPhases();
     }
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Sequence mode on the same grid until the working time is up
+    startBonusRound() {
+        this.setGameMode('sequence');
+        this.currentPosition = { row: 0, col: 0 };
+        this.applyInputMode();
+        this.initializeGame();
+        this.updateGameStatus(tBilingual('sequence.bonus'));
+        this.emitEva('processing', t('sequence.bonus'));
+        this.mascot.show('excited');
+        this.speech.say('sequenceStart');
+        this.sequence.begin();
     }
 
-    // Sound effects
-    async playNavigationSound() {
-        if (!this.audioContext) return;
-        
-        try {
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            oscillator.frequency.setValueAtTime(300, this.audioContext.currentTime);
-            oscillator.type = 'sine';
-            
-            gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
-            
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.1);
-        } catch (error) {
-            console.warn('Audio playback failed:', error);
+    // Round lifecycle: back to "waiting for first click" with a freshly shuffled board
+    resetRound() {
+        // After a station change the next group starts, otherwise the same group replays
+        if (this.state.is('station-change')) {
+            const lastGroup = this.config.rotations && this.rotation >= this.config.rotations;
+            this.saveRotation(lastGroup ? 1 : this.rotation + 1);
         }
-    }
-
-    async playFlipSound() {
-        if (!this.audioContext) return;
         
-        try {
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            oscillator.frequency.setValueAtTime(440, this.audioContext.currentTime);
-            oscillator.type = 'sine';
-            
-            gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
-            
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.2);
-        } catch (error) {
-            console.warn('Audio playback failed:', error);
-        }
+        this.round++;
+        this.state.transition('idle', 'round reset');
+        
+        this.scheduler.stop();
+        this.workingTime = this.config.workingTime;
+        this.modalTime = this.config.modalTime;
+        
+        this.flippedCards = [];
+        this.matchedPairs = 0;
+        this.mistakes = 0;
+        this.currentPosition = { row: 0, col: 0 };
+        this.setGameMode(this.config.gameMode); // Ends a bonus round
+        
+        document.getElementById('modalOverlay').style.display = 'none';
+        document.getElementById('timerDisplay').style.display = 'none';
+        document.getElementById('nextRoundBtn').textContent = t('modal.nextGroupButton');
+        this.applyStationTexts();
+        this.updateGameStatus(this.stationTexts.gameStatus);
+        
+        this.initializeGame();
     }
 
-    async playMatchSound() {
-        if (!this.audioContext) return;
-        
-        try {
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            oscillator.frequency.setValueAtTime(523.25, this.audioContext.currentTime); // C5
-            oscillator.type = 'sine';
-            
-            gainNode.gain.setValueAtTime(0.3, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.5);
-            
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.5);
-        } catch (error) {
-            console.warn('Audio playback failed:', error);
+    // Switches to another card set (teacher editor); the running round is replaced by a fresh board
+    useCardSet(setId, cardSet) {
+        if (this.layout.pairs > cardSet.pairs.length) {
+            throw new Error(`${this.layout.rows}x${this.layout.cols} braucht ${this.layout.pairs} Paare, Set "${cardSet.name}" hat nur ${cardSet.pairs.length}`);
         }
+        
+        this.config = { ...this.config, setId, cardSet };
+        this.cardSet = cardSet;
+        this.jokerSymbol = cardSet.joker;
+        this.resetRound();
     }
 
-    async playErrorSound() {
-        if (!this.audioContext) return;
-        
-        try {
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            oscillator.frequency.setValueAtTime(200, this.audioContext.currentTime);
-            oscillator.type = 'sawtooth';
-            
-            gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
-            
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.3);
-        } catch (error) {
-            console.warn('Audio playback failed:', error);
-        }
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     // UI Updates
     updateGameStatus(message) {
         const statusElement = document.getElementById('gameStatus');
-        statusElement.textContent = message;
+        statusElement.textContent = this.hotSeat ? this.hotSeat.decorateStatus(message) : message;
+        this.emit('status', { message: statusElement.textContent });
     }
 
-    showByteHappy() {
-        const companion = document.getElementById('byteCompanion');
-        const character = document.getElementById('byteCharacter');
+    // Phase schedule (see schedule.js)
+    initializeSchedule() {
+        const timerValue = document.getElementById('timerValue');
+        const modalTimerValue = document.getElementById('modalTimerValue');
+        
+        this.scheduler.on('phase', (phase, index) => this.enterPhase(phase, index));
         
-        companion.classList.add('happy');
-        character.src = 'Byte_mascot/Byte_Happy.png';
+        this.scheduler.on('tick', (phase, remaining) => {
+            if (phase.board) {
+                this.workingTime = this.scheduler.remainingBoardTime();
+                timerValue.textContent = this.formatTime(this.workingTime);
+            } else {
+                this.modalTime = remaining;
+                modalTimerValue.textContent = phase.format === 'seconds' ? String(remaining) : this.formatTime(remaining);
+            }
+        });
         
-        setTimeout(() => {
-            this.resetByteCharacter();
-        }, 2000);
+        this.scheduler.on('end', () => {
+            if (this.state.is('playing', 'resolving')) {
+                this.state.transition('timeout', 'schedule over');
+            }
+            if (this.state.transition('station-change', 'schedule over')) {
+                this.showStationChangeMessage();
+            }
+        });
     }
 
-    resetByteCharacter() {
-        const companion = document.getElementById('byteCompanion');
-        const character = document.getElementById('byteCharacter');
+    enterPhase(phase, index) {
+        const reason = `phase ${phase.name}`;
         
-        companion.classList.remove('happy');
-        character.src = 'Byte_mascot/Byte_normal.png';
+        if (phase.board) {
+            if (!this.state.is('playing', 'resolving')) {
+                this.state.transition('playing', reason);
+            }
+            this.showTimerDisplay(phase);
+            if (phase.text) {
+                this.updateGameStatus(bilingual(phase.text));
+            }
+        } else {
+            const boardAhead = this.config.phases.slice(index + 1).some(next => next.board);
+            
+            if (boardAhead) {
+                this.state.transition('countdown', reason);
+            } else {
+                if (this.state.is('playing', 'resolving')) {
+                    this.state.transition('timeout', reason);
+                }
+                // Only one way into the pause (won or timeout), so a second trigger is ignored
+                if (!this.state.is('pause') && !this.state.transition('pause', reason)) return;
+            }
+            this.showModal(phase);
+        }
+        
+        if (phase.sound) {
+            this.sound.play(phase.sound);
+        }
+        if (phase.mood) {
+            this.mascot.show(phase.mood);
+        }
     }
 
-    // Timer System (from referencewithtimer.js)
-    startWorkingTimer() {
+    showTimerDisplay(phase) {
         const timerDisplay = document.getElementById('timerDisplay');
-        const timerValue = document.getElementById('timerValue');
-        
         timerDisplay.style.display = 'block';
-        
-        this.workingTimer = setInterval(() => {
-            this.workingTime--;
-            const minutes = Math.floor(this.workingTime / 60);
-            const seconds = this.workingTime % 60;
-            timerValue.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-            
-            if (this.workingTime <= 0) {
-                clearInterval(this.workingTimer);
-                this.showModal();
-            }
-        }, 1000);
+        timerDisplay.dataset.phase = phase.name;
+        document.getElementById('timerLabel').textContent = phase.title ? localize(phase.title) : this.stationTexts.timerLabel;
+        document.getElementById('modalOverlay').style.display = 'none';
     }
 
-    showModal() {
-        const modalOverlay = document.getElementById('modalOverlay');
-        modalOverlay.style.display = 'flex';
-        this.startModalTimer();
+    showModal(phase) {
+        document.getElementById('modalTitle').textContent = phase.title ? bilingual(phase.title) : this.stationTexts.modalTitle;
+        document.getElementById('modalTimerText').textContent = phase.text ? bilingual(phase.text) : this.stationTexts.modalTimerText;
+        document.getElementById('modalOverlay').style.display = 'flex';
+        this.emit('modal', { phase });
     }
 
-    startModalTimer() {
-        const modalTimerValue = document.getElementById('modalTimerValue');
-        
-        this.modalTimer = setInterval(() => {
-            this.modalTime--;
-            const minutes = Math.floor(this.modalTime / 60);
-            const seconds = this.modalTime % 60;
-            modalTimerValue.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-            
-            if (this.modalTime <= 0) {
-                clearInterval(this.modalTimer);
-                this.showStationChangeMessage();
-            }
-        }, 1000);
+    loadRotation() {
+        try {
+            return Number(sessionStorage.getItem('eva-mouse:rotation')) || 1;
+        } catch (error) {
+            return 1;
+        }
+    }
+
+    saveRotation(rotation) {
+        this.rotation = rotation;
+        try {
+            sessionStorage.setItem('eva-mouse:rotation', String(rotation));
+        } catch (error) {
+            console.warn('Rotation could not be stored:', error);
+        }
     }
 
     showStationChangeMessage() {
@@ -415,13 +845,57 @@ class MemoryGame {
         const modalTimerValue = document.getElementById('modalTimerValue');
         const modalTimerText = document.getElementById('modalTimerText');
         
-        modalTitle.textContent = 'Wechsle die Station!';
-        modalTimerValue.textContent = 'F5';
-        modalTimerText.textContent = 'drücken um diese Station zu starten';
+        const { rotations } = this.config;
+        
+        document.getElementById('modalOverlay').style.display = 'flex';
+        
+        if (rotations && this.rotation >= rotations) {
+            modalTitle.textContent = tBilingual('station.allDone');
+            modalTimerValue.textContent = '🏁';
+            modalTimerText.textContent = tBilingual('station.finished');
+            document.getElementById('nextRoundBtn').textContent = t('modal.restartButton');
+            this.emit('instruction', { text: `${t('station.allDone')} ${t('station.finished')}` });
+            return;
+        }
+        
+        const nextGroup = rotations ? tBilingual('station.nextGroupOf', { group: this.rotation + 1, total: rotations }) : tBilingual('station.nextGroup');
+        modalTitle.textContent = tBilingual('station.change');
+        modalTimerValue.textContent = '⇄';
+        modalTimerText.textContent = nextGroup;
+        this.emit('instruction', { text: `${firstLine(modalTitle.textContent)} ${firstLine(nextGroup)}` });
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = seconds % 60;
+        return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+
+    formatDuration(seconds, locale = activeLocale) {
+        if (seconds < 60) {
+            return t('duration.seconds', { count: seconds }, locale);
+        }
+        if (seconds % 60 !== 0) {
+            return t('duration.clock', { time: this.formatTime(seconds) }, locale);
+        }
+        return t('duration.minutes', { count: seconds / 60 }, locale);
     }
 }
 
 // Initialize the game when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new MemoryGame();
+document.addEventListener('DOMContentLoaded', async () => {
+    // Teacher-made sets must be known before the config picks one
+    await new CardSetStore().loadInto(CARD_SETS);
+    const { config, errors } = await loadStationConfig();
+    let game;
+    
+    try {
+        game = new MemoryGame(config);
+    } catch (error) {
+        errors.push(`${error.message} - Standardkonfiguration wird verwendet`);
+        game = new MemoryGame();
+    }
+    
+    showConfigErrors(errors);
+    window.memoryGame = game; // For debugging
 });
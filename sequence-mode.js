@@ -0,0 +1,167 @@
+// Sequence mode ("Simon"): Byte lights up a growing sequence of cells with their tones, the group
+// repeats it with the arrow keys and the confirm button (or the mouse). A wrong cell starts a new
+// sequence; the longest repeated sequence counts. With ?bonus the same round follows a won memory board.
+
+// Column = pitch (G-major pentatonic, left to right), row = timbre; further rows and columns go up an octave
+function sequenceCellTone(row, col) {
+    const type = CARD_TONE_TIMBRES[row % CARD_TONE_TIMBRES.length];
+    const octave = 2 ** (Math.floor(row / CARD_TONE_TIMBRES.length) + Math.floor(col / CARD_TONE_PITCHES.length));
+    const frequency = CARD_TONE_PITCHES[col % CARD_TONE_PITCHES.length] * octave;
+    return [{ frequency, duration: 0.4, gain: type === 'sine' ? 0.3 : 0.1, type }];
+}
+
+// Cells have no face, they light up and play their tone
+class SequenceCellRenderer extends PictureCardRenderer {
+    render(card) {
+        card.replaceChildren();
+    }
+
+    reveal(card, entry) {
+        this.game.sound.playNotes(sequenceCellTone(entry.row, entry.col), 'cell');
+    }
+
+    describe(entry) {
+        return t('sequence.cell', { row: entry.row + 1, col: entry.col + 1 });
+    }
+}
+
+class SequenceRound {
+    constructor(game) {
+        this.game = game;
+        this.showTime = 500; // ms a cell stays lit
+        this.gapTime = 250; // ms between two cells of the sequence
+        this.nextDelay = 1200; // ms before Byte shows the next sequence
+        this.reset();
+
+        game.state.onTransition(({ from, to }) => {
+            if (to === 'idle') {
+                this.reset();
+            } else if (game.sequence !== this) {
+                return; // Bonus round not started yet
+            } else if (to === 'playing' && (from === 'idle' || from === 'countdown')) {
+                this.begin();
+            } else if (to === 'timeout') {
+                game.updateGameStatus(tBilingual('sequence.timeout', { best: this.best }));
+            }
+        });
+    }
+
+    reset() {
+        this.sequence = []; // Grid indices in the order Byte shows them
+        this.step = 0; // Cells of the sequence the group has repeated so far
+        this.best = 0; // Longest sequence repeated this round
+    }
+
+    // One cell per grid position
+    createCells() {
+        const { rows, cols } = this.game.layout;
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                cells.push({ row, col });
+            }
+        }
+        return cells;
+    }
+
+    getCell(index) {
+        return document.querySelector(`#memoryGrid [data-index="${index}"]`);
+    }
+
+    // The board is locked (resolving) while Byte shows the sequence
+    async begin() {
+        const round = this.game.round;
+        await this.game.sleep(this.nextDelay);
+        if (round !== this.game.round || !this.game.state.transition('resolving', 'sequence starts')) return;
+        await this.showNext();
+    }
+
+    // Adds a cell (never the last one again) and shows the whole sequence
+    async showNext() {
+        const { game } = this;
+        const round = game.round;
+        const last = this.sequence[this.sequence.length - 1];
+        const candidates = game.cards.map((entry, index) => index).filter(index => index !== last);
+        this.sequence.push(candidates[Math.floor(Math.random() * candidates.length)]);
+        this.step = 0;
+
+        game.updateGameStatus(tBilingual('sequence.watch', { count: this.sequence.length }));
+        for (const index of this.sequence) {
+            await game.sleep(this.gapTime);
+            if (round !== game.round || !game.state.is('resolving')) return;
+            await this.light(index);
+        }
+
+        if (round !== game.round || !game.state.transition('playing', 'sequence shown')) return;
+        game.updateGameStatus(tBilingual('sequence.yourTurn', { count: this.sequence.length }));
+    }
+
+    async light(index) {
+        const { game } = this;
+        const card = this.getCell(index);
+        card.classList.add('lit');
+        game.cardRenderer.reveal(card, game.cards[index]);
+        game.emitEva('output', t('sequence.lights', { cell: game.cardRenderer.describe(game.cards[index]) }));
+        game.emit('flip', { card, index });
+
+        await game.sleep(this.showTime);
+        card.classList.remove('lit');
+    }
+
+    // Confirm button, Enter or click on a cell
+    async confirm(index) {
+        const { game } = this;
+        if (this.step >= this.sequence.length) return; // Byte has not shown anything yet
+
+        game.emitEva('processing', t('sequence.compare', { step: this.step + 1 }));
+        this.light(index);
+
+        if (index !== this.sequence[this.step]) {
+            await this.fail(index);
+            return;
+        }
+
+        this.step++;
+        if (this.step < this.sequence.length) {
+            game.updateGameStatus(tBilingual('sequence.progress', { step: this.step, count: this.sequence.length }));
+            return;
+        }
+        await this.succeed();
+    }
+
+    async succeed() {
+        const { game } = this;
+        const round = game.round;
+        game.state.transition('resolving', 'sequence repeated');
+        this.best = Math.max(this.best, this.sequence.length);
+
+        await game.sleep(this.showTime);
+        if (round !== game.round || !game.state.is('resolving')) return;
+        game.sound.play('match');
+        game.mascot.show('happy');
+        game.updateGameStatus(tBilingual('sequence.repeated', { count: this.sequence.length }));
+
+        await game.sleep(this.nextDelay);
+        if (round !== game.round || !game.state.is('resolving')) return;
+        await this.showNext();
+    }
+
+    // A wrong cell ends the sequence, Byte starts over with a single cell
+    async fail(index) {
+        const { game } = this;
+        const round = game.round;
+        const card = this.getCell(index);
+        game.state.transition('resolving', 'wrong cell');
+        game.mistakes++;
+        card.classList.add('wrong');
+        game.sound.play('error');
+        game.mascot.show('sad');
+        game.updateGameStatus(tBilingual('sequence.wrong', { best: this.best }));
+
+        await game.sleep(this.nextDelay);
+        card.classList.remove('wrong');
+        if (round !== game.round || !game.state.is('resolving')) return;
+        this.sequence = [];
+        await this.showNext();
+    }
+}
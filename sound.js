@@ -0,0 +1,186 @@
+// Sound cues per theme. A cue is a list of notes: frequency (Hz), start and duration (seconds after the
+// cue begins), peak gain, waveform (default 'sine') and attack (seconds to the peak, default 0.01).
+const SOUND_THEMES = {
+    classic: {
+        navigation: [{ frequency: 300, duration: 0.1, gain: 0.1 }],
+        flip: [{ frequency: 440, duration: 0.2, gain: 0.2 }],
+        match: [{ frequency: 523.25, duration: 0.5, gain: 0.3 }], // C5
+        error: [{ frequency: 200, duration: 0.3, gain: 0.2, type: 'sawtooth' }],
+        fanfare: [ // C5 E5 G5 C6
+            { frequency: 523.25, start: 0, duration: 0.18, gain: 0.25 },
+            { frequency: 659.25, start: 0.15, duration: 0.18, gain: 0.25 },
+            { frequency: 783.99, start: 0.3, duration: 0.18, gain: 0.25 },
+            { frequency: 1046.5, start: 0.45, duration: 0.6, gain: 0.3 }
+        ],
+        tick: [{ frequency: 1000, duration: 0.05, gain: 0.1, type: 'square' }]
+    },
+    soft: {
+        navigation: [{ frequency: 262, duration: 0.12, gain: 0.06, type: 'triangle' }],
+        flip: [{ frequency: 392, duration: 0.2, gain: 0.1, type: 'triangle' }],
+        match: [
+            { frequency: 392, start: 0, duration: 0.2, gain: 0.12, type: 'triangle' },
+            { frequency: 523.25, start: 0.15, duration: 0.4, gain: 0.12, type: 'triangle' }
+        ],
+        error: [{ frequency: 196, duration: 0.35, gain: 0.1, type: 'triangle', attack: 0.05 }],
+        fanfare: [
+            { frequency: 392, start: 0, duration: 0.3, gain: 0.12, type: 'triangle' },
+            { frequency: 523.25, start: 0.25, duration: 0.3, gain: 0.12, type: 'triangle' },
+            { frequency: 659.25, start: 0.5, duration: 0.3, gain: 0.12, type: 'triangle' },
+            { frequency: 783.99, start: 0.75, duration: 0.8, gain: 0.14, type: 'triangle', attack: 0.05 }
+        ],
+        tick: [{ frequency: 660, duration: 0.06, gain: 0.05, type: 'triangle' }]
+    },
+    arcade: {
+        navigation: [{ frequency: 600, duration: 0.05, gain: 0.06, type: 'square' }],
+        flip: [
+            { frequency: 440, start: 0, duration: 0.06, gain: 0.08, type: 'square' },
+            { frequency: 660, start: 0.06, duration: 0.08, gain: 0.08, type: 'square' }
+        ],
+        match: [
+            { frequency: 523.25, start: 0, duration: 0.08, gain: 0.1, type: 'square' },
+            { frequency: 659.25, start: 0.08, duration: 0.08, gain: 0.1, type: 'square' },
+            { frequency: 783.99, start: 0.16, duration: 0.2, gain: 0.1, type: 'square' }
+        ],
+        error: [
+            { frequency: 220, start: 0, duration: 0.1, gain: 0.1, type: 'square' },
+            { frequency: 165, start: 0.1, duration: 0.2, gain: 0.1, type: 'square' }
+        ],
+        fanfare: [
+            { frequency: 523.25, start: 0, duration: 0.1, gain: 0.1, type: 'square' },
+            { frequency: 659.25, start: 0.1, duration: 0.1, gain: 0.1, type: 'square' },
+            { frequency: 783.99, start: 0.2, duration: 0.1, gain: 0.1, type: 'square' },
+            { frequency: 1046.5, start: 0.3, duration: 0.1, gain: 0.1, type: 'square' },
+            { frequency: 783.99, start: 0.4, duration: 0.1, gain: 0.1, type: 'square' },
+            { frequency: 1046.5, start: 0.5, duration: 0.4, gain: 0.12, type: 'square' }
+        ],
+        tick: [{ frequency: 1200, duration: 0.03, gain: 0.06, type: 'square' }]
+    }
+};
+
+const SOUND_CUES = Object.keys(SOUND_THEMES.classic);
+const DEFAULT_SOUND_THEME = 'classic';
+
+class SoundEngine {
+    constructor(game, { theme, volume, muted }) {
+        this.game = game;
+        this.theme = theme;
+        this.volume = volume; // 0-100
+        this.muted = muted;
+        this.tickFrom = 10; // Seconds of working time left when the countdown tick starts
+        this.button = document.getElementById('soundBtn');
+        this.slider = document.getElementById('soundVolume');
+
+        // All cues run through one master gain (volume and mute)
+        this.context = null;
+        try {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+            this.master = this.context.createGain();
+            this.master.connect(this.context.destination);
+        } catch (error) {
+            console.warn('Web Audio API not supported:', error);
+        }
+
+        this.button.addEventListener('click', () => this.setMuted(!this.muted));
+        this.slider.addEventListener('input', () => this.setVolume(Number(this.slider.value)));
+        this.slider.addEventListener('change', () => saveDeviceConfig({ volume: this.volume }));
+        game.teacherHotkeys.s = () => this.nextTheme();
+        game.on('locale', () => this.updateControls());
+        game.scheduler.on('tick', (phase) => {
+            const left = game.scheduler.remainingBoardTime();
+            if (phase.board && left > 0 && left <= this.tickFrom && game.state.is('playing', 'resolving')) {
+                this.play('tick');
+            }
+        });
+
+        this.applyVolume();
+    }
+
+    play(name) {
+        return this.playNotes(SOUND_THEMES[this.theme][name], name);
+    }
+
+    // Also plays notes that are no cue of the theme (the card tones in sound mode). A secret tone is
+    // not named in the EVA output, otherwise the pairs could be matched by reading instead of listening.
+    async playNotes(notes, cue, secret = false) {
+        if (!notes || this.muted || this.volume === 0) return;
+
+        // The EVA panel names the tone (or the melody) as output, read-aloud waits until it is over
+        const duration = Math.max(...notes.map(note => (note.start || 0) + note.duration));
+        if (secret) {
+            this.game.emitEva('output', t('card.sound'));
+        } else {
+            this.game.emitEva('output', notes.length === 1
+                ? t('eva.tone', { frequency: Math.round(notes[0].frequency) })
+                : t('eva.melody', { count: notes.length }));
+        }
+        this.game.emit('sound', { cue, duration });
+        if (!this.context) return;
+
+        try {
+            if (this.context.state === 'suspended') {
+                await this.context.resume();
+            }
+            const now = this.context.currentTime;
+            notes.forEach(note => this.playNote(note, now + (note.start || 0)));
+        } catch (error) {
+            console.warn('Audio playback failed:', error);
+        }
+    }
+
+    // Envelope: short rise to the peak, exponential fade until the note ends
+    playNote(note, at) {
+        const oscillator = this.context.createOscillator();
+        const gainNode = this.context.createGain();
+        const attack = note.attack !== undefined ? note.attack : 0.01;
+
+        oscillator.type = note.type || 'sine';
+        oscillator.frequency.setValueAtTime(note.frequency, at);
+        gainNode.gain.setValueAtTime(0.0001, at);
+        gainNode.gain.linearRampToValueAtTime(note.gain, at + attack);
+        gainNode.gain.exponentialRampToValueAtTime(0.0001, at + note.duration);
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.master);
+        oscillator.start(at);
+        oscillator.stop(at + note.duration);
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (volume > 0 && this.muted) {
+            this.setMuted(false);
+        }
+        this.applyVolume();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        saveDeviceConfig({ mute: muted });
+        this.applyVolume();
+    }
+
+    applyVolume() {
+        if (this.master) {
+            this.master.gain.value = this.muted ? 0 : this.volume / 100;
+        }
+        this.updateControls();
+    }
+
+    updateControls() {
+        this.button.textContent = this.muted || this.volume === 0 ? '🔇' : '🔊';
+        this.button.setAttribute('aria-pressed', String(this.muted));
+        this.button.setAttribute('aria-label', t('controls.mute'));
+        this.button.title = t('controls.mute');
+        this.slider.value = this.volume;
+        this.slider.setAttribute('aria-label', t('controls.volume'));
+    }
+
+    // Teacher hotkey Ctrl+Alt+S: next theme, with the match cue as a sample
+    nextTheme() {
+        const themes = Object.keys(SOUND_THEMES);
+        this.theme = themes[(themes.indexOf(this.theme) + 1) % themes.length];
+        saveDeviceConfig({ sound: this.theme });
+        this.game.updateGameStatus(tBilingual('status.soundTheme', locale => ({ theme: t(`sound.${this.theme}`, {}, locale) })));
+        this.play('match');
+    }
+}
@@ -0,0 +1,143 @@
+// Byte's speech bubble: short context tips, worded in the message catalog ('byte.start', ...). Every
+// topic has a cooldown so Byte does not comment on every single click; a message only replaces one
+// of lower priority.
+const BYTE_MESSAGES = {
+    start: { cooldown: 0, priority: 1 },
+    sequenceStart: { cooldown: 0, priority: 1 },
+    eva: { cooldown: 25000, priority: 1 },
+    mismatch: { cooldown: 15000, priority: 2 },
+    time: { cooldown: 0, priority: 3 },
+    hint: { cooldown: 30000, priority: 3 },
+    levelUp: { cooldown: 0, priority: 4 },
+    won: { cooldown: 0, priority: 4 }
+};
+
+class ByteSpeech {
+    constructor(game) {
+        this.game = game;
+        this.bubble = document.getElementById('byteBubble');
+        this.displayTime = 4500; // ms a message stays visible
+        this.hintAfter = 3; // Mismatches in a row before Byte gives away a seen card
+        this.timeMilestones = [60, 30]; // Seconds of working time Byte reminds of
+        this.reset();
+
+        game.state.onTransition(({ from, to }) => {
+            if (to === 'idle') {
+                this.reset();
+                this.hide();
+            } else if (to === 'playing' && (from === 'idle' || from === 'countdown')) {
+                this.say(game.sequence ? 'sequenceStart' : 'start');
+            } else if (to === 'won') {
+                this.say('won');
+            } else if (to === 'pause') {
+                this.hide();
+            }
+        });
+
+        game.on('eva', ({ stage, text }) => this.recordEva(stage, text));
+        game.on('flip', ({ index }) => this.seen.set(index, game.cards[index]));
+        game.on('match', ({ card1, card2 }) => {
+            this.mismatchStreak = 0;
+            this.seen.delete(Number(card1.dataset.index));
+            this.seen.delete(Number(card2.dataset.index));
+        });
+        game.on('mismatch', () => {
+            this.mismatchStreak++;
+            if (this.mismatchStreak < this.hintAfter || !this.giveHint()) {
+                this.say('mismatch');
+            }
+        });
+        game.on('shuffle', () => this.seen.clear());
+        game.on('level', () => {
+            this.seen.clear();
+            this.mismatchStreak = 0;
+            this.say('levelUp');
+        });
+        game.scheduler.on('tick', (phase) => {
+            if (phase.board && this.game.state.is('playing', 'resolving')) {
+                this.remindTime(game.workingTime);
+            }
+        });
+    }
+
+    reset() {
+        this.lastSaid = {};
+        this.current = null;
+        this.mismatchStreak = 0;
+        this.seen = new Map(); // Grid index -> deck entry of every card flipped this round
+        this.remindedAt = new Set();
+        this.lastInput = null;
+        this.outputs = [];
+    }
+
+    // Explains an input once its outputs are done (sound and picture come one after the other)
+    recordEva(stage, text) {
+        if (stage === 'input') {
+            this.lastInput = text;
+            this.outputs = [];
+        } else if (stage === 'output' && this.lastInput && this.game.state.is('playing', 'resolving')) {
+            this.outputs.push(text);
+            if (this.outputs.length > 1) return;
+
+            setTimeout(() => {
+                if (!this.lastInput) return;
+                this.say('eva', { input: this.lastInput, output: this.outputs.join(' + ') });
+                this.lastInput = null;
+            }, 300);
+        }
+    }
+
+    remindTime(seconds) {
+        const milestone = this.timeMilestones.find(mark => seconds <= mark && !this.remindedAt.has(mark));
+        if (milestone === undefined) return;
+
+        this.timeMilestones.filter(mark => mark >= milestone).forEach(mark => this.remindedAt.add(mark));
+        this.say('time', locale => ({ time: this.game.formatDuration(milestone, locale) }));
+    }
+
+    // Points at one card of a pair the group has already seen both halves of
+    giveHint() {
+        if (this.game.isComputerTurn()) return false;
+
+        const seen = [...this.seen.entries()].filter(([index, entry]) => {
+            const card = document.querySelector(`#memoryGrid [data-index="${index}"]`);
+            return entry && !entry.powerUp && card && !card.classList.contains('matched');
+        });
+        const pair = seen.find(([index, entry]) => seen.some(([other, otherEntry]) => {
+            return other !== index && this.game.cardsMatch(entry, otherEntry);
+        }));
+        if (!pair) return false;
+
+        const [index] = pair;
+        return this.say('hint', { row: Math.floor(index / this.game.layout.cols) + 1, col: index % this.game.layout.cols + 1 });
+    }
+
+    // Values may depend on the language (see tBilingual), e.g. for durations
+    say(topic, values = {}) {
+        const message = BYTE_MESSAGES[topic];
+        const now = Date.now();
+
+        if (now - (this.lastSaid[topic] || -Infinity) < message.cooldown) return false;
+        if (this.current && !this.bubble.hidden && this.current.priority > message.priority) return false;
+
+        const key = `byte.${topic}`;
+        const variant = Math.floor(Math.random() * countVariants(key));
+        const text = tBilingual(key, locale => ({ ...(typeof values === 'function' ? values(locale) : values), variant }));
+
+        this.lastSaid[topic] = now;
+        this.current = { topic, priority: message.priority };
+        this.bubble.textContent = text;
+        this.bubble.hidden = false;
+        this.game.emit('speech', { topic, text });
+
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hide(), this.displayTime);
+        return true;
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.bubble.hidden = true;
+        this.current = null;
+    }
+}
@@ -0,0 +1,45 @@
+// Minimal finite state machine: only whitelisted transitions are applied, every change is observable
+class StateMachine {
+    constructor(initialState, transitions, debug = false) {
+        this.current = initialState;
+        this.transitions = transitions;
+        this.debug = debug; // Logs ignored transitions (they are normal, e.g. a second trigger for the same modal)
+        this.listeners = [];
+        this.history = []; // Last transitions, for debugging in the console
+    }
+
+    is(...states) {
+        return states.includes(this.current);
+    }
+
+    can(nextState) {
+        return (this.transitions[this.current] || []).includes(nextState);
+    }
+
+    transition(nextState, reason = '') {
+        if (!this.can(nextState)) {
+            if (this.debug) {
+                console.debug(`Ignored transition ${this.current} → ${nextState}${reason ? ` (${reason})` : ''}`);
+            }
+            return false;
+        }
+
+        const change = { from: this.current, to: nextState, reason, time: Date.now() };
+        this.current = nextState;
+
+        this.history.push(change);
+        if (this.history.length > 50) {
+            this.history.shift();
+        }
+
+        this.listeners.forEach(listener => listener(change));
+        return true;
+    }
+
+    onTransition(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+}
@@ -0,0 +1,117 @@
+// Deadline-based countdown: remaining time is always computed from the clock, so throttled
+// background tabs or a closed laptop lid can't make it drift. The deadline is kept in
+// sessionStorage, so a reload continues with the correct remaining time.
+class CountdownTimer {
+    constructor(name) {
+        this.storageKey = `eva-mouse:timer:${name}`;
+        this.deadline = null;
+        this.duration = 0;
+        this.remaining = 0;
+        this.interval = null;
+        this.listeners = { tick: [], expire: [] };
+
+        // Throttled tabs only tick rarely - re-render as soon as the tab is visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.isRunning()) {
+                this.update();
+            }
+        });
+    }
+
+    on(event, listener) {
+        this.listeners[event].push(listener);
+    }
+
+    emit(event, ...args) {
+        this.listeners[event].forEach(listener => listener(...args));
+    }
+
+    isRunning() {
+        return this.deadline !== null;
+    }
+
+    start(seconds, startedAt = Date.now()) {
+        this.duration = seconds;
+        this.deadline = startedAt + seconds * 1000;
+        this.save();
+        this.run();
+    }
+
+    // Continues a deadline stored before a reload; returns false if there is none
+    restore() {
+        const stored = this.load();
+        if (!stored) return false;
+
+        this.duration = stored.duration;
+        this.deadline = stored.deadline;
+        this.run();
+        return true;
+    }
+
+    hasStoredDeadline() {
+        return this.load() !== null;
+    }
+
+    addTime(seconds) {
+        if (!this.isRunning()) return;
+
+        this.deadline += seconds * 1000;
+        this.save();
+        this.update();
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+        this.deadline = null;
+        this.clear();
+    }
+
+    run() {
+        clearInterval(this.interval);
+        this.remaining = null;
+        // Poll faster than once per second so each displayed second changes on time
+        this.interval = setInterval(() => this.update(), 250);
+        this.update();
+    }
+
+    update() {
+        const deadline = this.deadline;
+        const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+
+        if (remaining !== this.remaining) {
+            this.remaining = remaining;
+            this.emit('tick', remaining);
+        }
+
+        if (remaining <= 0 && this.deadline === deadline) {
+            this.stop();
+            this.emit('expire', deadline);
+        }
+    }
+
+    save() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify({ deadline: this.deadline, duration: this.duration }));
+        } catch (error) {
+            console.warn('Timer could not be stored:', error);
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.storageKey));
+            return stored && Number.isFinite(stored.deadline) ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    clear() {
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Timer could not be cleared:', error);
+        }
+    }
+}